@@ -0,0 +1,110 @@
+// Traducción de las páginas estáticas con los mismos catálogos que el servidor (locales/<idioma>.json).
+// Los textos se marcan con data-i18n="clave", data-i18n-placeholder y data-i18n-title. El español
+// ya está escrito en el HTML, así que si el catálogo no carga la página sigue siendo legible.
+// Idioma: ?lang=xx (se recuerda), el elegido antes en esta web o el del navegador.
+(function () {
+    const LOCALES = ['es', 'en'];
+    const DEFAULT_LOCALE = 'es';
+    const STORAGE_KEY = 'cofonita.locale';
+
+    // locales/ está junto a assets/, también cuando la página se sirve desde otra ruta (404)
+    const CATALOG_URL = new URL('../locales/', document.currentScript.src);
+
+    let messages = {};
+
+    function normalizeLocale(value) {
+        if (typeof value !== 'string') return null;
+        const language = value.trim().toLowerCase().split(/[-_]/)[0];
+        return LOCALES.includes(language) ? language : null;
+    }
+
+    function readStored() {
+        try {
+            return localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function store(locale) {
+        try {
+            localStorage.setItem(STORAGE_KEY, locale);
+        } catch (error) {
+            // Sin almacenamiento (modo privado): el idioma dura solo esta visita
+        }
+    }
+
+    function detectLocale() {
+        const fromQuery = normalizeLocale(new URLSearchParams(window.location.search).get('lang'));
+        if (fromQuery) {
+            store(fromQuery);
+            return fromQuery;
+        }
+
+        const browser = (navigator.languages || [navigator.language]).map(normalizeLocale).find(Boolean);
+        return normalizeLocale(readStored()) || browser || DEFAULT_LOCALE;
+    }
+
+    const locale = detectLocale();
+    document.documentElement.lang = locale;
+
+    // Texto traducido con los {parámetros} sustituidos; si falta se devuelve la clave
+    function t(key, params = {}) {
+        const message = key.split('.').reduce((node, part) => node?.[part], messages);
+        if (typeof message !== 'string') return key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+    }
+
+    function has(key) {
+        return typeof key.split('.').reduce((node, part) => node?.[part], messages) === 'string';
+    }
+
+    // Traducir los elementos marcados (solo los que tienen texto en el catálogo)
+    function apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (has(element.dataset.i18n)) element.textContent = t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            if (has(element.dataset.i18nPlaceholder)) element.placeholder = t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            if (has(element.dataset.i18nTitle)) element.title = t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-set-locale]').forEach(element => {
+            element.classList.toggle('active', element.dataset.setLocale === locale);
+        });
+    }
+
+    // Cambiar de idioma desde la página: se recuerda y se vuelve a pintar todo
+    function setLocale(value) {
+        const next = normalizeLocale(value);
+        if (!next || next === locale) return;
+        store(next);
+
+        const url = new URL(window.location.href);
+        url.searchParams.delete('lang');
+        window.location.replace(url);
+    }
+
+    document.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-set-locale]');
+        if (button) {
+            event.preventDefault();
+            setLocale(button.dataset.setLocale);
+        }
+    });
+
+    const ready = fetch(new URL(`${locale}.json`, CATALOG_URL))
+        .then(response => (response.ok ? response.json() : {}))
+        .catch(() => ({}))
+        .then(catalog => {
+            messages = catalog;
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => apply());
+            } else {
+                apply();
+            }
+        });
+
+    window.i18n = { locale, t, apply, ready, setLocale };
+})();
@@ -1,104 +1,299 @@
+// Cargar variables de entorno (antes que los módulos que leen process.env)
+require('dotenv').config();
+
 const express = require('express');
 const session = require('express-session');
 const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
 const crypto = require('crypto');
-const fs = require('fs').promises;
-require('dotenv').config();
+const { createSessionStore } = require('./lib/session-store');
+const { createHandoffNonce, hashHandoffNonce, verifyHandoffToken } = require('./lib/handoff-token');
+const { buildRedirectUrl, sanitizeGuildId, sanitizeRedirect } = require('./lib/oauth-state');
+const { createGuildAccessMiddleware } = require('./lib/permissions');
+const { loadConfig } = require('./lib/config');
+const { createTemplateEngine } = require('./lib/templates');
+const { t, getMessages, createI18nMiddleware, apiError } = require('./lib/i18n');
+const { logger, configureLogger, createRequestLogger, REQUEST_ID_HEADER } = require('./lib/logger');
+const { createCsrfGuard } = require('./lib/csrf');
+
+configureLogger({ service: 'dashboard' });
 
 const app = express();
 
-// Configuración de producción
+// Configuración (perfil APP_ENV: development | staging | production)
 const {
     PORT = 10000,
-    MAIN_SERVER_URL = 'https://cofonita-web.onrender.com',
-    FRONTEND_URL = 'https://cofonitabot.netlify.app',
     SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
-    NODE_ENV = 'production'
+    HANDOFF_SECRET
 } = process.env;
 
-console.log('🚀 Dashboard Server - Configuración:');
-console.log('   Puerto:', PORT);
-console.log('   Backend principal:', MAIN_SERVER_URL);
-console.log('   Frontend:', FRONTEND_URL);
-console.log('   Entorno:', NODE_ENV);
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    logger.error('Configuración inválida', { err: error });
+    process.exit(1);
+}
+
+const MAIN_SERVER_URL = config.apiUrl;
+const FRONTEND_URL = config.websiteUrl;
+const DASHBOARD_URL = config.dashboardUrl;
+
+logger.info('Configuración del dashboard', {
+    port: PORT,
+    mainServerUrl: MAIN_SERVER_URL,
+    frontendUrl: FRONTEND_URL,
+    dashboardUrl: DASHBOARD_URL,
+    profile: config.profile
+});
+
+// Plantillas HTML de views/: en desarrollo se releen en cada petición.
+// {{ t "clave" parametro=valor }} traduce al idioma de la página (locale).
+const templates = createTemplateEngine({
+    root: path.join(__dirname, 'views'),
+    cache: !config.isDevelopment,
+    helpers: {
+        t: ([key], params, root) => t(root.locale, key, params)
+    }
+});
+
+try {
+    logger.info('Plantillas compiladas', { templates: templates.precompile() });
+} catch (error) {
+    logger.error('Error compilando plantillas', { err: error });
+    process.exit(1);
+}
+
+if (!process.env.SESSION_SECRET) {
+    logger.warn('SESSION_SECRET no configurado: las sesiones no sobrevivirán a un reinicio');
+}
+
+// Render pone un proxy delante: sin esto las cookies secure no se envían
+if (config.trustProxy) {
+    app.set('trust proxy', 1);
+}
 
 // Middleware
+// ID de cada petición (se reenvía al backend en X-Request-Id) y log de acceso con la duración
+app.use(createRequestLogger({
+    getUserId: req => req.session?.user?.id,
+    skip: ['/health']
+}));
+
 app.use(cors({
-    origin: [FRONTEND_URL, 'http://localhost:3000', 'http://localhost:5173'],
+    origin: config.isDevelopment
+        ? [FRONTEND_URL, 'http://localhost:3000', 'http://localhost:5173']
+        : [FRONTEND_URL],
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'X-Requested-With']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'X-Requested-With', REQUEST_ID_HEADER],
+    exposedHeaders: [REQUEST_ID_HEADER]
+}));
+
+// Idioma de cada petición: preferencia del usuario, idioma del servidor o Accept-Language
+app.use(createI18nMiddleware({
+    getUserLocale: req => req.session?.user?.locale,
+    getGuildLocale: (req, guildId) => req.session?.guildAccess?.[guildId]?.language
 }));
 
 app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+
+// Las rutas que cambian datos solo aceptan JSON enviado desde el propio dashboard
+app.use(createCsrfGuard({
+    allowedOrigins: [DASHBOARD_URL],
+    requireOrigin: true
+}));
 
 // Configuración de sesión
-const MemoryStore = require('memorystore')(session);
+const SESSION_MAX_AGE = 24 * 60 * 60 * 1000; // 24 horas
 
 app.use(session({
     secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
-    store: new MemoryStore({
-        checkPeriod: 86400000 // 24 horas
+    store: createSessionStore({
+        name: 'sessions-dashboard',
+        ttl: SESSION_MAX_AGE
     }),
     cookie: {
-        secure: NODE_ENV === 'production',
-        maxAge: 24 * 60 * 60 * 1000, // 24 horas
+        secure: config.cookieSecure,
+        maxAge: SESSION_MAX_AGE,
         httpOnly: true,
-        sameSite: NODE_ENV === 'production' ? 'none' : 'lax'
+        // Las páginas del dashboard llaman a su propia API: no hace falta enviarla desde otras webs
+        sameSite: 'lax'
     },
     name: 'cofonita.dashboard.sid'
 }));
 
+// Cookie para hablar con el backend: la de la sesión canjeada o la del navegador
+function getBackendCookie(req) {
+    return req.session.backendCookie || req.headers.cookie || '';
+}
+
+// El backend elige el idioma de sus mensajes con el mismo Accept-Language del navegador
+function languageHeader(req) {
+    const acceptLanguage = req.get('Accept-Language');
+    return acceptLanguage ? { 'Accept-Language': acceptLanguage } : {};
+}
+
+// Mismo ID de petición en los logs del dashboard y del backend
+function requestIdHeader(req) {
+    return req.id ? { [REQUEST_ID_HEADER]: req.id } : {};
+}
+
+// Cabeceras de las llamadas al backend en nombre del usuario
+function backendHeaders(req, extra = {}) {
+    return {
+        'Cookie': getBackendCookie(req),
+        'User-Agent': 'Dashboard-Server',
+        ...languageHeader(req),
+        ...requestIdHeader(req),
+        ...extra
+    };
+}
+
+// Función para formatear números
+const formatNumber = (num) => {
+    if (!num) return '0';
+    if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
+    if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
+    return num.toString();
+};
+
+// Responder con una plantilla ya pintada (los valores se escapan en la plantilla)
+function sendPage(req, res, status, name, data) {
+    res.status(status);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(templates.render(name, { ...data, locale: req.locale }));
+}
+
+// Catálogo para los textos que pinta el JavaScript de la página, listo para un <script>
+function clientMessages(req, namespaces) {
+    return JSON.stringify(getMessages(req.locale, namespaces)).replace(/</g, '\\u003c');
+}
+
 // Middleware de autenticación
 const checkAuth = async (req, res, next) => {
-    console.log('🔍 Verificando autenticación...');
-    
     // 1. Verificar sesión local
     if (req.session.user) {
-        console.log('✅ Usuario en sesión local:', req.session.user.username);
         return next();
     }
 
     try {
-        console.log('🌐 Consultando backend principal para autenticación...');
-        
         // 2. Verificar autenticación con backend principal
         const response = await axios.get(`${MAIN_SERVER_URL}/api/user`, {
             headers: {
-                'Cookie': req.headers.cookie || '',
+                'Cookie': getBackendCookie(req),
                 'User-Agent': req.headers['user-agent'] || 'Dashboard-Server',
                 'X-Forwarded-For': req.ip,
-                'Accept': 'application/json'
+                'Accept': 'application/json',
+                ...languageHeader(req),
+                ...requestIdHeader(req)
             },
             withCredentials: true,
             timeout: 15000
         });
 
         if (response.data && response.data.success && response.data.user) {
-            console.log('✅ Autenticado por backend principal:', response.data.user.username);
-            
             // Guardar usuario en sesión local
             req.session.user = response.data.user;
             return next();
         }
     } catch (error) {
-        console.log('⚠️ Error de autenticación:', error.message);
-        if (error.response) {
-            console.log('   Estado:', error.response.status);
-            console.log('   Datos:', error.response.data);
-        }
+        logger.warn('Error de autenticación con el backend', { err: error });
     }
 
     // 3. Redirigir al login
-    console.log('❌ No autenticado, redirigiendo al login...');
+    logger.debug('No autenticado, redirigiendo al login');
     return res.redirect(`${FRONTEND_URL}/login?error=session_expired&redirect=${encodeURIComponent(req.originalUrl)}`);
 };
 
+// Tras el login el backend manda aquí al navegador: se guarda un nonce en la
+// sesión y se pide al backend el token de traspaso ligado a él
+app.get('/auth/login', (req, res) => {
+    if (!HANDOFF_SECRET) {
+        logger.error('HANDOFF_SECRET no configurado');
+        return res.redirect(`${FRONTEND_URL}/login?error=handoff_unavailable`);
+    }
+    
+    const nonce = createHandoffNonce();
+    req.session.handoffNonce = nonce;
+    
+    const params = new URLSearchParams({
+        nonce: hashHandoffNonce(nonce),
+        redirect: sanitizeRedirect(req.query.redirect)
+    });
+    const guildId = sanitizeGuildId(req.query.guild_id);
+    if (guildId) params.set('guild_id', guildId);
+    res.redirect(`${MAIN_SERVER_URL}/auth/handoff?${params}`);
+});
+
+// Canjear el token de traspaso emitido por el backend tras el login. Solo vale
+// en el navegador que pasó por /auth/login: un enlace con el token de otro
+// usuario no abre su sesión aquí.
+app.get('/auth/handoff', async (req, res) => {
+    const loginError = (code) => res.redirect(`${FRONTEND_URL}/login?error=${code}`);
+    
+    if (!HANDOFF_SECRET) {
+        logger.error('HANDOFF_SECRET no configurado');
+        return loginError('handoff_unavailable');
+    }
+    
+    const nonce = req.session.handoffNonce;
+    delete req.session.handoffNonce;
+    
+    try {
+        verifyHandoffToken(req.query.token, HANDOFF_SECRET, { consume: true, nonce });
+    } catch (error) {
+        logger.warn('Token de traspaso rechazado', { reason: error.code || error.message });
+        return loginError(error.code || 'handoff_invalid');
+    }
+    
+    try {
+        const response = await axios.post(`${MAIN_SERVER_URL}/api/auth/handoff`, {
+            token: req.query.token,
+            nonce
+        }, {
+            headers: { 'User-Agent': 'Dashboard-Server', ...requestIdHeader(req) },
+            timeout: 15000,
+            validateStatus: () => true
+        });
+        
+        if (!response.data || !response.data.success || !response.data.user) {
+            logger.warn('El backend rechazó el traspaso', { code: response.data?.code });
+            return loginError(response.data?.code || 'handoff_invalid');
+        }
+        
+        // Guardar la cookie de la sesión creada en el backend para las llamadas proxy
+        const backendCookie = (response.headers['set-cookie'] || [])
+            .map(cookie => cookie.split(';')[0])
+            .join('; ');
+        
+        // Nueva sesión para evitar fijación de sesión
+        req.session.regenerate((err) => {
+            if (err) {
+                logger.error('Error regenerando sesión', { err });
+                return loginError('handoff_failed');
+            }
+            
+            req.session.user = response.data.user;
+            req.session.backendCookie = backendCookie;
+            logger.info('Sesión creada por traspaso', { userId: response.data.user.id });
+            
+            // Volver al servidor elegido en el login (solo rutas permitidas)
+            res.redirect(buildRedirectUrl('', {
+                guildId: req.query.guild_id,
+                redirect: req.query.redirect
+            }));
+        });
+    } catch (error) {
+        logger.error('Error canjeando token de traspaso', { err: error });
+        loginError('handoff_failed');
+    }
+});
+
 // Middleware para pasar datos a las vistas
 app.use((req, res, next) => {
     res.locals.user = req.session.user;
@@ -107,247 +302,82 @@ app.use((req, res, next) => {
     next();
 });
 
-// Servir dashboard.html con datos inyectados
+// Servir el dashboard con los datos del usuario
 app.get('/dashboard', checkAuth, async (req, res) => {
     try {
         const user = req.session.user;
-        console.log('📊 Sirviendo dashboard para:', user.username);
-        
-        // Leer el archivo HTML
-        const dashboardPath = path.join(__dirname, 'dashboard.html');
-        let html = await fs.readFile(dashboardPath, 'utf8');
-        
-        // Preparar datos del usuario
-        const userData = {
-            id: user.id,
-            username: user.username || 'Usuario',
-            discriminator: user.discriminator || '0000',
-            avatar_url: user.avatar_url || 'https://cdn.discordapp.com/embed/avatars/0.png',
-            guilds: user.guilds || []
-        };
-        
-        // Función para escapar HTML
-        const escapeHtml = (text) => {
-            if (!text) return '';
-            return String(text)
-                .replace(/&/g, '&amp;')
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;')
-                .replace(/"/g, '&quot;')
-                .replace(/'/g, '&#039;');
-        };
-        
-        // Función para formatear números
-        const formatNumber = (num) => {
-            if (!num) return '0';
-            if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
-            if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
-            return num.toString();
-        };
-        
-        // Generar HTML de servidores
-        let serversHTML = '';
-        const manageableGuilds = userData.guilds.filter(g => g.manageable);
         
-        if (manageableGuilds.length > 0) {
-            serversHTML = manageableGuilds.map(guild => {
-                const safeName = escapeHtml(guild.name);
-                const icon = guild.icon 
-                    ? `https://cdn.discordapp.com/icons/${guild.id}/${guild.icon}.png?size=256`
-                    : null;
-                
-                return `
-                <div class="server-card" data-guild-id="${guild.id}">
-                    <div class="server-header">
-                        <div class="server-icon">
-                            ${icon 
-                                ? `<img src="${icon}" alt="${safeName}" 
-                                     onerror="this.onerror=null; this.parentElement.innerHTML='<i class=\\'fas fa-server\\'></i>'; this.parentElement.style.background='linear-gradient(135deg, var(--primary) 0%, var(--secondary) 100%)';" loading="lazy">`
-                                : `<i class="fas fa-server"></i>`}
-                        </div>
-                        <div style="flex: 1; min-width: 0;">
-                            <div class="server-name">${safeName}</div>
-                            <div class="server-info">
-                                <span class="server-status ${guild.bot_installed ? 'status-online' : 'status-offline'}">
-                                    <i class="fas fa-circle"></i>
-                                    ${guild.bot_installed ? 'Bot conectado' : 'Conectar bot'}
-                                </span>
-                                <span style="color: var(--text-muted); font-size: 12px;">
-                                    <i class="fas fa-users"></i>
-                                    ${guild.approximate_member_count ? formatNumber(guild.approximate_member_count) : '?'}
-                                </span>
-                            </div>
-                        </div>
-                    </div>
-                    
-                    <div class="server-actions">
-                        ${guild.bot_installed 
-                            ? `<button class="btn btn-primary configure-btn" data-guild-id="${guild.id}">
-                                 <i class="fas fa-cog"></i> Configurar
-                               </button>`
-                            : `<button class="btn btn-primary connect-btn" data-guild-id="${guild.id}">
-                                 <i class="fas fa-plug"></i> Conectar
-                               </button>`
-                        }
-                        <button class="btn btn-secondary view-btn" data-guild-id="${guild.id}">
-                            <i class="fas fa-eye"></i> Ver
-                        </button>
-                    </div>
-                </div>
-                `;
-            }).join('');
-        } else {
-            serversHTML = `
-                <div class="no-servers">
-                    <i class="fas fa-server fa-3x"></i>
-                    <h3>No tienes servidores administrables</h3>
-                    <p>Los servidores donde tengas permisos de administrador aparecerán aquí</p>
-                    <button class="btn btn-primary" onclick="window.location.reload()">
-                        <i class="fas fa-sync-alt"></i> Recargar
-                    </button>
-                </div>
-            `;
-        }
+        const manageableGuilds = (user.guilds || []).filter(g => g.access_level);
         
         // Obtener estadísticas del bot
         let statsData = {
             totalServers: 0,
             totalUsers: 0,
             commandsUsed: 0,
-            uptime: 99.8
+            uptime: null
         };
         
         try {
-            console.log('📈 Obteniendo estadísticas del bot...');
             const statsResponse = await axios.get(`${MAIN_SERVER_URL}/api/bot/stats`, {
-                headers: {
-                    'Cookie': req.headers.cookie || '',
-                    'User-Agent': 'Dashboard-Server'
-                },
+                headers: backendHeaders(req),
                 withCredentials: true,
                 timeout: 10000
             });
             
             if (statsResponse.data && statsResponse.data.success) {
                 statsData = statsResponse.data.stats;
-                console.log('✅ Estadísticas obtenidas');
             }
         } catch (error) {
-            console.log('⚠️ Error obteniendo estadísticas:', error.message);
+            logger.warn('Error obteniendo estadísticas', { err: error });
             // Usar datos por defecto
             statsData.totalServers = manageableGuilds.length;
         }
         
-        // Preparar reemplazos
-        const replacements = {
-            '{{USERNAME}}': escapeHtml(userData.username),
-            '{{DISCRIMINATOR}}': escapeHtml(userData.discriminator),
-            '{{AVATAR_URL}}': userData.avatar_url,
-            '{{SERVER_COUNT}}': manageableGuilds.length,
-            '{{SERVERS_HTML}}': serversHTML,
-            '{{TOTAL_SERVERS}}': formatNumber(statsData.totalServers || manageableGuilds.length),
-            '{{TOTAL_USERS}}': formatNumber(statsData.totalUsers || 0),
-            '{{COMMANDS_USED}}': formatNumber(statsData.commandsUsed || 0),
-            '{{UPTIME}}': statsData.uptime ? statsData.uptime.toFixed(1) : '99.8',
-            '{{API_URL}}': MAIN_SERVER_URL,
-            '{{WEBSITE_URL}}': FRONTEND_URL,
-            '{{SERVERS_PLURAL}}': manageableGuilds.length !== 1 ? 'es' : '',
-            '{{ADMIN_PLURAL}}': manageableGuilds.length !== 1 ? 's' : ''
-        };
-        
-        // Reemplazar todas las variables
-        Object.keys(replacements).forEach(key => {
-            const regex = new RegExp(key, 'g');
-            html = html.replace(regex, replacements[key]);
+        sendPage(req, res, 200, 'dashboard', {
+            user: {
+                username: user.username || req.t('dashboard.default_user'),
+                discriminator: user.discriminator || '0000',
+                avatar_url: user.avatar_url || 'https://cdn.discordapp.com/embed/avatars/0.png',
+                locale: user.locale || '',
+                // Insignia cosmética desbloqueada con un código secreto
+                badge: (user.unlocks || []).includes('badge'),
+                // La sincronización de comandos globales es solo para administradores del bot
+                is_admin: Boolean(user.is_admin)
+            },
+            serverCount: manageableGuilds.length,
+            singleServer: manageableGuilds.length === 1,
+            guilds: manageableGuilds.map(guild => ({
+                id: guild.id,
+                name: guild.name,
+                iconUrl: guild.icon ? `https://cdn.discordapp.com/icons/${guild.id}/${guild.icon}.png?size=256` : null,
+                botInstalled: Boolean(guild.bot_installed),
+                memberCount: guild.approximate_member_count ? formatNumber(guild.approximate_member_count) : '?'
+            })),
+            emptyState: {
+                icon: 'fa-server',
+                title: req.t('server_card.empty_title'),
+                text: req.t('server_card.empty_text'),
+                reload: true
+            },
+            stats: {
+                totalServers: formatNumber(statsData.totalServers || manageableGuilds.length),
+                totalUsers: formatNumber(statsData.totalUsers || 0),
+                commandsUsed: formatNumber(statsData.commandsUsed || 0),
+                uptime: typeof statsData.uptime === 'number' ? `${statsData.uptime.toFixed(1)}%` : '—'
+            },
+            apiUrl: MAIN_SERVER_URL,
+            websiteUrl: FRONTEND_URL,
+            messages: clientMessages(req, ['dashboard', 'server_card', 'access', 'errors'])
         });
-        
-        // Enviar HTML procesado
-        res.setHeader('Content-Type', 'text/html');
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-        res.send(html);
-        
-        console.log('✅ Dashboard servido exitosamente');
-        
     } catch (error) {
-        console.error('❌ Error crítico al servir dashboard:', error);
-        res.status(500).send(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Error - Dashboard Cofonita</title>
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.0/css/all.min.css">
-                <style>
-                    * { margin: 0; padding: 0; box-sizing: border-box; }
-                    body {
-                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                        background: linear-gradient(135deg, #0A0A14 0%, #121220 100%);
-                        color: white;
-                        min-height: 100vh;
-                        display: flex;
-                        align-items: center;
-                        justify-content: center;
-                        padding: 20px;
-                    }
-                    .error-box {
-                        background: rgba(255, 255, 255, 0.1);
-                        backdrop-filter: blur(20px);
-                        border-radius: 20px;
-                        padding: 40px;
-                        max-width: 500px;
-                        text-align: center;
-                        border: 1px solid rgba(255, 255, 255, 0.2);
-                        box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-                    }
-                    .error-icon {
-                        font-size: 80px;
-                        background: linear-gradient(135deg, #FF6B8B 0%, #5A67D8 100%);
-                        -webkit-background-clip: text;
-                        -webkit-text-fill-color: transparent;
-                        margin-bottom: 20px;
-                    }
-                    h1 { font-size: 24px; margin-bottom: 10px; }
-                    p { color: #A0A0C0; margin-bottom: 30px; line-height: 1.6; }
-                    .btn {
-                        display: inline-flex;
-                        align-items: center;
-                        gap: 10px;
-                        background: linear-gradient(135deg, #FF6B8B 0%, #5A67D8 100%);
-                        color: white;
-                        padding: 12px 24px;
-                        border-radius: 10px;
-                        text-decoration: none;
-                        font-weight: 600;
-                        border: none;
-                        cursor: pointer;
-                        transition: transform 0.2s;
-                        margin: 5px;
-                    }
-                    .btn:hover { transform: translateY(-2px); }
-                    .btn-secondary {
-                        background: rgba(255, 255, 255, 0.1);
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="error-box">
-                    <div class="error-icon">
-                        <i class="fas fa-exclamation-triangle"></i>
-                    </div>
-                    <h1>Error al cargar el Dashboard</h1>
-                    <p>Hubo un problema al cargar tu panel de control. Esto puede deberse a problemas de conexión o sesión expirada.</p>
-                    <div style="display: flex; flex-wrap: wrap; justify-content: center; gap: 10px;">
-                        <button class="btn" onclick="window.location.reload()">
-                            <i class="fas fa-redo"></i> Reintentar
-                        </button>
-                        <button class="btn btn-secondary" onclick="window.location.href='${FRONTEND_URL}/login'">
-                            <i class="fas fa-sign-in-alt"></i> Volver al Login
-                        </button>
-                    </div>
-                </div>
-            </body>
-            </html>
-        `);
+        logger.error('Error al servir dashboard', { err: error });
+        sendPage(req, res, 500, 'error', {
+            title: req.t('pages.error.title'),
+            heading: req.t('pages.error.dashboard_heading'),
+            message: req.t('pages.error.dashboard_message'),
+            backUrl: `${FRONTEND_URL}/login`,
+            backLabel: req.t('pages.error.back_login')
+        });
     }
 });
 
@@ -359,64 +389,479 @@ app.get('/api/user', checkAuth, (req, res) => {
     });
 });
 
+app.post('/api/user/guilds/refresh', checkAuth, async (req, res) => {
+    try {
+        const response = await axios.post(`${MAIN_SERVER_URL}/api/user/guilds/refresh`, {}, {
+            headers: backendHeaders(req),
+            withCredentials: true,
+            timeout: 15000,
+            validateStatus: () => true
+        });
+        
+        // Actualizar el usuario de la sesión local con los servidores nuevos
+        if (response.data && response.data.success && response.data.user) {
+            req.session.user = response.data.user;
+            delete req.session.guildAccess;
+        }
+        
+        res.status(response.status).json(response.data);
+    } catch (error) {
+        logger.error('Error resincronizando servidores', { err: error });
+        res.status(502).json(apiError(req, 'guild_sync_failed'));
+    }
+});
+
+// Idioma preferido: se guarda en el backend y se copia a la sesión local
+app.put('/api/user/locale', checkAuth, async (req, res) => {
+    try {
+        const response = await axios.put(`${MAIN_SERVER_URL}/api/user/locale`, req.body, {
+            headers: backendHeaders(req),
+            withCredentials: true,
+            timeout: 10000,
+            validateStatus: () => true
+        });
+
+        if (response.data && response.data.success) {
+            req.session.user = { ...req.session.user, locale: response.data.locale };
+        }
+
+        res.status(response.status).json(response.data);
+    } catch (error) {
+        logger.error('Error guardando idioma', { err: error });
+        res.status(502).json(apiError(req, 'preferences_save_failed'));
+    }
+});
+
+// Mantener la sesión al día con los eventos del bot (entra o sale de un servidor)
+function trackBotEvent(req, block) {
+    const type = block.match(/^event: (.+)$/m)?.[1];
+    if (type !== 'guild.bot_joined' && type !== 'guild.bot_left') return;
+    
+    try {
+        const event = JSON.parse(block.match(/^data: (.+)$/m)[1]);
+        const guild = req.session.user.guilds?.find(g => g.id === event.guildId);
+        if (!guild) return;
+        
+        guild.bot_installed = type === 'guild.bot_joined';
+        guildDetailCache.delete(event.guildId);
+        // La respuesta SSE no termina, así que express-session no guardaría solo
+        req.session.save(() => {});
+    } catch (error) {
+        logger.warn('Evento del backend ilegible', { err: error });
+    }
+}
+
+// Eventos en vivo del panel: se reenvía el flujo SSE del backend para este usuario.
+// Last-Event-ID (o ?lastEventId= al reconectar a mano) recupera lo perdido.
+app.get('/api/events', checkAuth, async (req, res) => {
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    let upstream;
+    
+    try {
+        upstream = await axios.get(`${MAIN_SERVER_URL}/api/events`, {
+            headers: backendHeaders(req, {
+                'Accept': 'text/event-stream',
+                ...(lastEventId && { 'Last-Event-ID': lastEventId })
+            }),
+            responseType: 'stream',
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+    } catch (error) {
+        logger.error('Error conectando con los eventos del backend', { err: error });
+        return res.status(502).json(apiError(req, 'events_unavailable'));
+    }
+    
+    if (upstream.status !== 200) {
+        upstream.data.destroy();
+        return res.status(upstream.status >= 300 && upstream.status < 400 ? 401 : 502).json(apiError(req, 'events_failed'));
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    
+    // Reenviar evento a evento (bloques separados por una línea en blanco)
+    let buffer = '';
+    upstream.data.setEncoding('utf8');
+    upstream.data.on('data', chunk => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        
+        blocks.forEach(block => {
+            trackBotEvent(req, block);
+            res.write(`${block}\n\n`);
+        });
+    });
+    upstream.data.on('end', () => res.end());
+    upstream.data.on('error', () => res.end());
+    req.on('close', () => upstream.data.destroy());
+});
+
 app.get('/api/bot/stats', checkAuth, async (req, res) => {
     try {
         const response = await axios.get(`${MAIN_SERVER_URL}/api/bot/stats`, {
-            headers: {
-                'Cookie': req.headers.cookie || '',
-                'User-Agent': 'Dashboard-Server'
-            },
+            headers: backendHeaders(req),
             withCredentials: true,
             timeout: 10000
         });
         
         res.json(response.data);
     } catch (error) {
-        console.error('Error obteniendo estadísticas:', error.message);
+        logger.error('Error obteniendo estadísticas', { err: error });
         res.json({
             success: true,
             stats: {
-                totalServers: req.session.user.guilds?.filter(g => g.manageable).length || 0,
+                totalServers: req.session.user.guilds?.filter(g => g.access_level).length || 0,
                 totalUsers: 0,
                 commandsUsed: 0,
-                uptime: 99.8
+                uptime: null
             }
         });
     }
 });
 
-app.post('/api/guild/:guildId/connect', checkAuth, async (req, res) => {
+// Rol del panel en un servidor: lo decide el backend y se guarda un minuto en la sesión
+const GUILD_ACCESS_TTL = 60 * 1000;
+
+async function fetchGuildAccess(req, guild) {
+    const cached = req.session.guildAccess?.[guild.id];
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.access;
+    }
+    
+    const response = await axios.get(`${MAIN_SERVER_URL}/api/guild/${guild.id}/access`, {
+        headers: backendHeaders(req),
+        timeout: 10000,
+        maxRedirects: 0,
+        validateStatus: () => true
+    });
+    
+    if (response.status >= 500) {
+        throw new Error(`El backend respondió ${response.status}`);
+    }
+    
+    // Sin sesión en el backend o servidor desconocido: sin acceso
+    const access = response.data?.success ? response.data.access : { role: null, source: null };
+    req.session.guildAccess = {
+        ...req.session.guildAccess,
+        [guild.id]: {
+            access,
+            // Idioma configurado en el servidor, para las páginas y errores de ese servidor
+            language: response.data?.language || null,
+            expiresAt: Date.now() + GUILD_ACCESS_TTL
+        }
+    };
+    return access;
+}
+
+// Mismo middleware que el backend, resolviendo el rol a través de él
+const requireGuildAccess = createGuildAccessMiddleware({
+    getUserGuilds: req => req.session.user.guilds,
+    resolveAccess: fetchGuildAccess
+});
+
+// Datos en vivo de cada servidor, compartidos un rato entre usuarios con acceso
+const GUILD_DETAIL_TTL = 30 * 1000;
+const guildDetailCache = new Map();
+
+const CHANNEL_ICONS = {
+    text: 'fa-hashtag',
+    voice: 'fa-volume-high',
+    announcement: 'fa-bullhorn',
+    stage: 'fa-podcast',
+    forum: 'fa-comments',
+    media: 'fa-photo-film'
+};
+
+async function getGuildDetails(req, guildId) {
+    const cached = guildDetailCache.get(guildId);
+    if (cached && cached.expiresAt > Date.now() && !req.query.refresh) {
+        return cached.data;
+    }
+    
+    const response = await axios.get(`${MAIN_SERVER_URL}/api/guild/${guildId}`, {
+        headers: backendHeaders(req),
+        timeout: 15000,
+        maxRedirects: 0,
+        validateStatus: () => true
+    });
+    
+    if (!response.data || !response.data.success) {
+        const error = new Error(response.data?.error || req.t('guild.fetch_failed'));
+        error.status = response.status;
+        throw error;
+    }
+    
+    guildDetailCache.set(guildId, {
+        data: response.data.details,
+        expiresAt: Date.now() + GUILD_DETAIL_TTL
+    });
+    return response.data.details;
+}
+
+// Página de detalle de un servidor (botón "Ver")
+app.get('/dashboard/guild/:guildId', checkAuth, requireGuildAccess('viewer'), async (req, res) => {
+    const guild = req.guild;
+    let details = null;
+    let errorMessage = null;
+    
+    try {
+        details = guild.bot_installed ? await getGuildDetails(req, guild.id) : null;
+    } catch (error) {
+        logger.error('Error obteniendo detalle del servidor', { guildId: guild.id, err: error });
+        errorMessage = error.message;
+    }
+    
+    const iconUrl = details?.icon_url || (guild.icon ? `https://cdn.discordapp.com/icons/${guild.id}/${guild.icon}.png?size=256` : null);
+    
+    try {
+        sendPage(req, res, 200, 'guild', {
+            id: guild.id,
+            name: details?.name || guild.name,
+            iconUrl,
+            accessRole: req.t(`access.${req.guildAccess.role}`),
+            botInstalled: Boolean(guild.bot_installed),
+            error: errorMessage,
+            missing: details?.bot.missing || [],
+            stats: {
+                memberCount: formatNumber(details?.member_count ?? guild.approximate_member_count),
+                onlineCount: details?.online_count != null ? formatNumber(details.online_count) : '—',
+                boostTier: details ? req.t('guild.boost_tier', { tier: details.premium_tier }) : '—',
+                boostCount: details ? details.premium_subscription_count : 0,
+                channelCount: details ? details.channel_count : '—',
+                roleCount: details ? details.roles.length : '—'
+            },
+            channels: (details?.channels || []).map(group => ({
+                category: group.category,
+                channels: group.channels.map(channel => ({
+                    name: channel.name,
+                    icon: CHANNEL_ICONS[channel.type] || 'fa-hashtag'
+                }))
+            })),
+            roles: (details?.roles || []).map(role => ({
+                name: role.name,
+                managed: role.managed,
+                color: role.color ? `#${role.color.toString(16).padStart(6, '0')}` : 'var(--text-muted)'
+            })),
+            fetchedAt: details ? new Date(details.fetched_at).toLocaleString(req.locale) : '—'
+        });
+    } catch (error) {
+        logger.error('Error al servir detalle del servidor', { err: error });
+        sendPage(req, res, 500, 'error', {
+            title: req.t('pages.error.title'),
+            heading: req.t('pages.error.guild_heading'),
+            message: req.t('pages.error.guild_message'),
+            backUrl: '/dashboard',
+            backLabel: req.t('pages.error.back_dashboard')
+        });
+    }
+});
+
+app.post('/api/guild/:guildId/connect', checkAuth, requireGuildAccess('manager'), async (req, res) => {
     try {
         const { guildId } = req.params;
-        const user = req.session.user;
-        
-        // Verificar permisos
-        const userGuild = user.guilds?.find(g => g.id === guildId && g.manageable);
-        if (!userGuild) {
-            return res.status(403).json({
-                success: false,
-                error: 'No tienes permisos para administrar este servidor'
-            });
-        }
         
         // Proxy al backend principal
         const response = await axios.post(`${MAIN_SERVER_URL}/api/guild/${guildId}/connect`, {}, {
-            headers: {
-                'Cookie': req.headers.cookie || '',
-                'User-Agent': 'Dashboard-Server'
-            },
+            headers: backendHeaders(req),
             withCredentials: true,
             timeout: 10000
         });
         
         res.json(response.data);
     } catch (error) {
-        console.error('Error conectando servidor:', error.message);
-        res.status(500).json({
-            success: false,
-            error: 'Error al conectar el bot al servidor'
+        logger.error('Error conectando servidor', { err: error });
+        res.status(500).json(apiError(req, 'bot_connect_failed'));
+    }
+});
+
+// Vuelta del backend tras confirmar la instalación del bot
+app.get('/auth/install/complete', checkAuth, async (req, res) => {
+    const guildId = sanitizeGuildId(req.query.guild_id);
+    if (!guildId) {
+        return res.redirect('/dashboard');
+    }
+    
+    try {
+        // El perfil del backend ya tiene bot_installed: traer los servidores al día
+        const response = await axios.get(`${MAIN_SERVER_URL}/api/user`, {
+            headers: backendHeaders(req, { 'Accept': 'application/json' }),
+            timeout: 15000,
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+        
+        if (response.data && response.data.success && response.data.user) {
+            req.session.user = response.data.user;
+        }
+    } catch (error) {
+        logger.warn('Error actualizando usuario tras la instalación', { err: error });
+    }
+    
+    // Aunque el backend no responda, la instalación ya está confirmada
+    const guild = req.session.user.guilds?.find(g => g.id === guildId);
+    if (guild) guild.bot_installed = true;
+    
+    if (req.session.guildAccess) delete req.session.guildAccess[guildId];
+    guildDetailCache.delete(guildId);
+    
+    logger.info('Bot conectado', { guildId, userId: req.session.user.id });
+    res.redirect(`/dashboard?${new URLSearchParams({ guild_id: guildId, installed: '1' })}`);
+});
+
+// Reenviar una petición al backend principal respetando su código de estado
+async function forwardToBackend(req, res, method, backendPath, errorCode) {
+    try {
+        const query = new URLSearchParams(req.query).toString();
+        const response = await axios({
+            method,
+            url: `${MAIN_SERVER_URL}${backendPath}${query ? `?${query}` : ''}`,
+            data: ['put', 'patch', 'post'].includes(method) ? req.body : undefined,
+            headers: backendHeaders(req),
+            withCredentials: true,
+            timeout: 10000,
+            validateStatus: () => true
         });
+        
+        res.status(response.status).json(response.data);
+    } catch (error) {
+        logger.error('Error en el proxy al backend', { method: method.toUpperCase(), path: backendPath, code: errorCode, err: error });
+        res.status(502).json(apiError(req, errorCode));
     }
+}
+
+// Configuración del servidor (proxy al backend principal)
+app.get('/api/guild/:guildId/config', checkAuth, requireGuildAccess('viewer'), (req, res) => {
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/config`, 'config_fetch_failed');
+});
+
+app.put('/api/guild/:guildId/config', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    forwardToBackend(req, res, 'put', `/api/guild/${req.params.guildId}/config`, 'config_save_failed');
+});
+
+app.patch('/api/guild/:guildId/config', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    forwardToBackend(req, res, 'patch', `/api/guild/${req.params.guildId}/config`, 'config_save_failed');
+});
+
+app.get('/api/guild/:guildId/backups', checkAuth, requireGuildAccess('viewer'), (req, res) => {
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/backups`, 'backups_fetch_failed');
+});
+
+app.get('/api/guild/:guildId/backups/diff', checkAuth, requireGuildAccess('viewer'), (req, res) => {
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/backups/diff`, 'config_compare_failed');
+});
+
+app.get('/api/guild/:guildId/backups/export', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    res.setHeader('Content-Disposition', `attachment; filename="cofonita-config-${req.params.guildId}.json"`);
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/backups/export`, 'config_export_failed');
+});
+
+app.post('/api/guild/:guildId/backups/import', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    forwardToBackend(req, res, 'post', `/api/guild/${req.params.guildId}/backups/import`, 'config_import_failed');
+});
+
+app.post('/api/guild/:guildId/backups/:version/restore', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    const { guildId, version } = req.params;
+    forwardToBackend(req, res, 'post', `/api/guild/${guildId}/backups/${encodeURIComponent(version)}/restore`, 'config_restore_failed');
+});
+
+app.get('/api/guild/:guildId/analytics', checkAuth, requireGuildAccess('viewer'), (req, res) => {
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/analytics`, 'analytics_failed');
+});
+
+app.get('/api/guild/:guildId/cases', checkAuth, requireGuildAccess('moderator'), (req, res) => {
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/cases`, 'cases_fetch_failed');
+});
+
+app.post('/api/guild/:guildId/cases', checkAuth, requireGuildAccess('moderator'), (req, res) => {
+    forwardToBackend(req, res, 'post', `/api/guild/${req.params.guildId}/cases`, 'case_create_failed');
+});
+
+app.patch('/api/guild/:guildId/cases/:caseNumber', checkAuth, requireGuildAccess('moderator'), (req, res) => {
+    const { guildId, caseNumber } = req.params;
+    forwardToBackend(req, res, 'patch', `/api/guild/${guildId}/cases/${encodeURIComponent(caseNumber)}`, 'case_update_failed');
+});
+
+app.delete('/api/guild/:guildId/cases/:caseNumber', checkAuth, requireGuildAccess('moderator'), (req, res) => {
+    const { guildId, caseNumber } = req.params;
+    forwardToBackend(req, res, 'delete', `/api/guild/${guildId}/cases/${encodeURIComponent(caseNumber)}`, 'case_pardon_failed');
+});
+
+app.get('/api/guild/:guildId/roles', checkAuth, requireGuildAccess('moderator'), (req, res) => {
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/roles`, 'roles_fetch_failed');
+});
+
+app.get('/api/guild/:guildId/members', checkAuth, requireGuildAccess('moderator'), (req, res) => {
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/members`, 'members_search_failed');
+});
+
+app.put('/api/guild/:guildId/members/:userId/roles/:roleId', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    const { guildId, userId, roleId } = req.params;
+    forwardToBackend(req, res, 'put', `/api/guild/${guildId}/members/${encodeURIComponent(userId)}/roles/${encodeURIComponent(roleId)}`, 'role_add_failed');
+});
+
+app.delete('/api/guild/:guildId/members/:userId/roles/:roleId', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    const { guildId, userId, roleId } = req.params;
+    forwardToBackend(req, res, 'delete', `/api/guild/${guildId}/members/${encodeURIComponent(userId)}/roles/${encodeURIComponent(roleId)}`, 'role_remove_failed');
+});
+
+app.get('/api/guild/:guildId/notifications', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/notifications`, 'subscriptions_fetch_failed');
+});
+
+app.post('/api/guild/:guildId/notifications', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    forwardToBackend(req, res, 'post', `/api/guild/${req.params.guildId}/notifications`, 'subscription_failed');
+});
+
+app.get('/api/guild/:guildId/notifications/deliveries', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/notifications/deliveries`, 'deliveries_fetch_failed');
+});
+
+app.patch('/api/guild/:guildId/notifications/:subscriptionId', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    const { guildId, subscriptionId } = req.params;
+    forwardToBackend(req, res, 'patch', `/api/guild/${guildId}/notifications/${encodeURIComponent(subscriptionId)}`, 'subscription_update_failed');
+});
+
+app.delete('/api/guild/:guildId/notifications/:subscriptionId', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    const { guildId, subscriptionId } = req.params;
+    forwardToBackend(req, res, 'delete', `/api/guild/${guildId}/notifications/${encodeURIComponent(subscriptionId)}`, 'subscription_delete_failed');
+});
+
+app.post('/api/guild/:guildId/notifications/:subscriptionId/test', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    const { guildId, subscriptionId } = req.params;
+    forwardToBackend(req, res, 'post', `/api/guild/${guildId}/notifications/${encodeURIComponent(subscriptionId)}/test`, 'notification_test_failed');
+});
+
+app.get('/api/guild/:guildId/permissions', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/permissions`, 'grants_fetch_failed');
+});
+
+app.post('/api/guild/:guildId/permissions', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    forwardToBackend(req, res, 'post', `/api/guild/${req.params.guildId}/permissions`, 'grant_failed');
+});
+
+app.delete('/api/guild/:guildId/permissions/:grantId', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    const { guildId, grantId } = req.params;
+    forwardToBackend(req, res, 'delete', `/api/guild/${guildId}/permissions/${encodeURIComponent(grantId)}`, 'grant_delete_failed');
+});
+
+app.get('/api/guild/:guildId/commands', checkAuth, requireGuildAccess('viewer'), (req, res) => {
+    forwardToBackend(req, res, 'get', `/api/guild/${req.params.guildId}/commands`, 'commands_fetch_failed');
+});
+
+app.patch('/api/guild/:guildId/commands/:name', checkAuth, requireGuildAccess('manager'), (req, res) => {
+    const { guildId, name } = req.params;
+    forwardToBackend(req, res, 'patch', `/api/guild/${guildId}/commands/${encodeURIComponent(name)}`, 'command_update_failed');
+});
+
+// Solo administradores del bot: lo comprueba el backend
+app.post('/api/commands/sync', checkAuth, (req, res) => {
+    forwardToBackend(req, res, 'post', '/api/commands/sync', 'commands_sync_failed');
 });
 
 // Health check
@@ -425,17 +870,30 @@ app.get('/health', (req, res) => {
         status: 'healthy',
         service: 'cofonita-dashboard',
         timestamp: new Date().toISOString(),
-        environment: NODE_ENV,
+        environment: config.profile,
         authenticated: !!req.session.user,
         urls: {
             main_server: MAIN_SERVER_URL,
-            frontend: FRONTEND_URL
+            frontend: FRONTEND_URL,
+            dashboard: DASHBOARD_URL
         }
     });
 });
 
 // Logout
 app.get('/logout', (req, res) => {
+    // Cerrar también la sesión del backend creada en el traspaso
+    if (req.session.backendCookie) {
+        axios.get(`${MAIN_SERVER_URL}/logout`, {
+            headers: { 'Cookie': req.session.backendCookie, ...requestIdHeader(req) },
+            maxRedirects: 0,
+            timeout: 10000,
+            validateStatus: () => true
+        }).catch(error => {
+            logger.warn('Error cerrando sesión del backend', { err: error });
+        });
+    }
+    
     req.session.destroy(() => {
         res.redirect(`${MAIN_SERVER_URL}/logout`);
     });
@@ -452,96 +910,38 @@ app.get('/', (req, res) => {
 
 // 404 handler
 app.use((req, res) => {
-    res.status(404).send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>404 - No encontrado</title>
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.0/css/all.min.css">
-            <style>
-                * { margin: 0; padding: 0; box-sizing: border-box; }
-                body {
-                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                    background: linear-gradient(135deg, #0A0A14 0%, #121220 100%);
-                    color: white;
-                    min-height: 100vh;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    padding: 20px;
-                    text-align: center;
-                }
-                .container {
-                    max-width: 600px;
-                }
-                h1 { 
-                    font-size: 120px; 
-                    margin: 0; 
-                    background: linear-gradient(135deg, #FF6B8B 0%, #5A67D8 100%);
-                    -webkit-background-clip: text;
-                    -webkit-text-fill-color: transparent;
-                }
-                h2 { font-size: 28px; margin: 20px 0; }
-                p { color: #A0A0C0; margin-bottom: 30px; line-height: 1.6; }
-                .btn {
-                    display: inline-flex;
-                    align-items: center;
-                    gap: 10px;
-                    background: linear-gradient(135deg, #FF6B8B 0%, #5A67D8 100%);
-                    color: white;
-                    padding: 12px 24px;
-                    border-radius: 10px;
-                    text-decoration: none;
-                    font-weight: 600;
-                    border: none;
-                    cursor: pointer;
-                    transition: transform 0.2s;
-                }
-                .btn:hover { transform: translateY(-2px); }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <h1>404</h1>
-                <h2>Página no encontrada</h2>
-                <p>La página que buscas no existe en el dashboard de Cofonita.</p>
-                <button class="btn" onclick="window.location.href='/dashboard'">
-                    <i class="fas fa-arrow-left"></i> Volver al Dashboard
-                </button>
-            </div>
-        </body>
-        </html>
-    `);
+    sendPage(req, res, 404, '404', { title: req.t('pages.not_found.title') });
 });
 
 // Error handler global
 app.use((err, req, res, next) => {
-    console.error('🔥 Error global:', err);
-    res.status(500).json({
-        success: false,
-        error: 'Error interno del servidor',
-        message: 'Por favor, intenta más tarde o contacta con soporte.'
-    });
+    logger.error('Error no controlado', { err });
+    
+    // Las páginas reciben la página de error; la API sigue respondiendo JSON
+    if (!req.path.startsWith('/api/') && req.accepts(['html', 'json']) === 'html') {
+        return sendPage(req, res, 500, 'error', {
+            title: req.t('pages.error.title'),
+            heading: req.t('pages.error.internal_heading'),
+            message: req.t('pages.error.retry_later'),
+            backUrl: '/dashboard',
+            backLabel: req.t('pages.error.back_dashboard')
+        });
+    }
+    
+    res.status(500).json(apiError(req, 'internal_error', {
+        message: req.t('pages.error.retry_later')
+    }));
 });
 
 // Iniciar servidor
 app.listen(PORT, '0.0.0.0', () => {
-    console.log('\n' + '='.repeat(60));
-    console.log('🚀 DASHBOARD COFONITA - PRODUCCIÓN');
-    console.log('='.repeat(60));
-    console.log(`✅ Servidor corriendo en puerto: ${PORT}`);
-    console.log(`📊 Dashboard: https://cofonitabot.onrender.com/dashboard`);
-    console.log(`🔗 Frontend: ${FRONTEND_URL}`);
-    console.log(`🔧 Backend principal: ${MAIN_SERVER_URL}`);
-    console.log(`🔐 Entorno: ${NODE_ENV}`);
-    console.log('='.repeat(60));
-    console.log('💡 URLs importantes:');
-    console.log(`   • Login: ${FRONTEND_URL}/login`);
-    console.log(`   • Dashboard: https://cofonitabot.onrender.com/dashboard`);
-    console.log(`   • Health check: https://cofonitabot.onrender.com/health`);
-    console.log(`   • API User: https://cofonitabot.onrender.com/api/user`);
-    console.log('='.repeat(60) + '\n');
+    logger.info('Dashboard iniciado', {
+        port: PORT,
+        profile: config.profile,
+        dashboardUrl: DASHBOARD_URL,
+        frontendUrl: FRONTEND_URL,
+        mainServerUrl: MAIN_SERVER_URL
+    });
 });
 
 module.exports = app;
@@ -0,0 +1,128 @@
+const { getStore } = require('./json-store');
+
+const store = getStore('analytics');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Métricas que se registran por servidor
+const METRICS = ['members_joined', 'members_left', 'messages', 'commands'];
+
+// Resoluciones disponibles y cuánto tiempo se conservan
+const RESOLUTIONS = {
+    hour: { size: HOUR, retention: 30 * DAY, defaultRange: DAY },
+    day: { size: DAY, retention: 365 * DAY, defaultRange: 30 * DAY }
+};
+
+// Máximo de puntos por serie en una consulta
+const MAX_POINTS = 1000;
+
+function bucketStart(timestamp, size) {
+    return Math.floor(timestamp / size) * size;
+}
+
+// Sumar actividad de un servidor en los buckets horario y diario
+function recordGuildActivity(guildId, counters, timestamp = Date.now()) {
+    const values = {};
+    METRICS.forEach(metric => {
+        const value = counters[metric];
+        if (Number.isInteger(value) && value > 0) values[metric] = value;
+    });
+    if (Object.keys(values).length === 0) return;
+
+    const record = store.get(guildId) || { hour: {}, day: {} };
+    const now = Date.now();
+
+    Object.entries(RESOLUTIONS).forEach(([resolution, { size, retention }]) => {
+        const buckets = record[resolution];
+        const key = bucketStart(timestamp, size);
+        buckets[key] = buckets[key] || {};
+        Object.entries(values).forEach(([metric, value]) => {
+            buckets[key][metric] = (buckets[key][metric] || 0) + value;
+        });
+
+        // Eliminar buckets fuera del periodo de retención
+        const minKey = bucketStart(now - retention, size);
+        Object.keys(buckets).forEach(bucket => {
+            if (Number(bucket) < minKey) delete buckets[bucket];
+        });
+    });
+
+    store.set(guildId, record);
+}
+
+// Validar y normalizar los parámetros de consulta
+function parseQuery(query) {
+    const errors = [];
+    const resolution = query.resolution || 'hour';
+    const config = RESOLUTIONS[resolution];
+
+    if (!config) {
+        errors.push({ code: 'one_of', params: { field: 'resolution', values: Object.keys(RESOLUTIONS).join(', ') } });
+        return { errors };
+    }
+
+    let metrics = METRICS;
+    if (query.metric) {
+        metrics = String(query.metric).split(',');
+        metrics.forEach(metric => {
+            if (!METRICS.includes(metric)) errors.push({ code: 'unknown_metric', params: { metric } });
+        });
+    }
+
+    const parseDate = (value, name) => {
+        if (value === undefined) return null;
+        const date = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+        if (Number.isNaN(date)) errors.push({ code: 'invalid_date', params: { field: name } });
+        return date;
+    };
+
+    const to = parseDate(query.to, 'to') ?? Date.now();
+    const from = parseDate(query.from, 'from') ?? to - config.defaultRange;
+
+    if (errors.length === 0) {
+        if (from > to) errors.push({ code: 'range_order' });
+        if ((to - from) / config.size > MAX_POINTS) {
+            errors.push({ code: 'range_too_large', params: { resolution, max: MAX_POINTS } });
+        }
+    }
+
+    return {
+        errors,
+        resolution,
+        metrics,
+        from: bucketStart(from, config.size),
+        to: bucketStart(to, config.size)
+    };
+}
+
+// Obtener las series de un servidor, con ceros en los buckets sin datos
+function getGuildAnalytics(guildId, { resolution, metrics, from, to }) {
+    const { size } = RESOLUTIONS[resolution];
+    const buckets = (store.get(guildId) || {})[resolution] || {};
+    const series = {};
+
+    metrics.forEach(metric => {
+        series[metric] = [];
+    });
+
+    for (let t = from; t <= to; t += size) {
+        const bucket = buckets[t] || {};
+        metrics.forEach(metric => {
+            series[metric].push({
+                t: new Date(t).toISOString(),
+                value: bucket[metric] || 0
+            });
+        });
+    }
+
+    return series;
+}
+
+module.exports = {
+    METRICS,
+    RESOLUTIONS,
+    recordGuildActivity,
+    parseQuery,
+    getGuildAnalytics
+};
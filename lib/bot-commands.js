@@ -0,0 +1,191 @@
+const interactions = require('./interactions');
+const moderation = require('./moderation');
+const members = require('./members');
+const { emitEvent } = require('./events');
+const { t } = require('./i18n');
+
+// Comandos de barra que atiende el endpoint /interactions. Cada uno lleva su
+// definición para Discord: lo que se registra aquí es lo que sincroniza commands.js.
+
+// Tipos de opción de Discord usados en las definiciones
+const OPTION_TYPES = {
+    STRING: 3,
+    INTEGER: 4,
+    USER: 6
+};
+
+// Permisos por defecto (los servidores pueden cambiarlos en Integraciones)
+const PERMISSIONS = {
+    KICK_MEMBERS: String(1n << 1n),
+    BAN_MEMBERS: String(1n << 2n),
+    MODERATE_MEMBERS: String(1n << 40n)
+};
+
+// Sanciones que se muestran en /casos
+const MAX_LISTED_CASES = 10;
+
+const DISCORD_EPOCH = 1420070400000n;
+
+function getOption(interaction, name) {
+    return interaction.data.options?.find(option => option.name === name)?.value;
+}
+
+function getMemberOption(interaction, name) {
+    const id = getOption(interaction, name);
+    return { id, mention: `<@${id}>` };
+}
+
+function ephemeral(content) {
+    return { content, flags: interactions.EPHEMERAL };
+}
+
+const memberOption = (description) => ({ type: OPTION_TYPES.USER, name: 'miembro', description, required: true });
+const reasonOption = (description) => ({ type: OPTION_TYPES.STRING, name: 'motivo', description, max_length: 512 });
+
+// Sancionar desde Discord con las mismas comprobaciones que el dashboard
+function sanctionCommand(type, definition) {
+    return {
+        definition,
+        async handler(interaction) {
+            const locale = interactions.getInteractionLocale(interaction);
+            if (!interaction.guild_id) return ephemeral(t(locale, 'interactions.guild_only'));
+
+            const target = getMemberOption(interaction, 'miembro');
+            const minutes = getOption(interaction, 'minutos');
+            const input = {
+                type,
+                targetId: target.id,
+                reason: getOption(interaction, 'motivo'),
+                ...(minutes && { duration: minutes * 60 })
+            };
+
+            if (!moderation.validateCase(input).valid) {
+                return ephemeral(t(locale, 'interactions.invalid_options'));
+            }
+
+            const moderator = interaction.member.user;
+            let modCase;
+            try {
+                modCase = await moderation.createCase(interaction.guild_id, input, moderator);
+            } catch (error) {
+                if (error instanceof members.HierarchyError) {
+                    return ephemeral(t(locale, `errors.${error.code}`));
+                }
+                throw error;
+            }
+
+            emitEvent('moderation.case_created', interaction.guild_id, {
+                caseNumber: modCase.caseNumber,
+                type: modCase.type,
+                targetId: modCase.targetId,
+                moderator: modCase.moderatorName,
+                reason: modCase.reason,
+                expiresAt: modCase.expiresAt
+            });
+
+            return {
+                content: t(locale, `interactions.case_${type}`, {
+                    target: target.mention,
+                    caseNumber: modCase.caseNumber,
+                    minutes
+                }),
+                allowed_mentions: { parse: [] }
+            };
+        }
+    };
+}
+
+const COMMANDS = [
+    {
+        definition: {
+            name: 'ping',
+            description: 'Comprueba si el bot responde'
+        },
+        handler(interaction) {
+            const locale = interactions.getInteractionLocale(interaction);
+            // El ID de la interacción lleva la fecha en que Discord la creó
+            const createdAt = Number((BigInt(interaction.id) >> 22n) + DISCORD_EPOCH);
+            return ephemeral(t(locale, 'interactions.pong', {
+                latency: Math.max(0, Date.now() - createdAt)
+            }));
+        }
+    },
+    {
+        definition: {
+            name: 'ayuda',
+            description: 'Muestra los comandos disponibles'
+        },
+        handler(interaction) {
+            const locale = interactions.getInteractionLocale(interaction);
+            const lines = interactions.getCommandDefinitions()
+                .map(command => `**/${command.name}** · ${command.description}`);
+            return ephemeral([t(locale, 'interactions.help_title'), ...lines].join('\n'));
+        }
+    },
+    sanctionCommand('warn', {
+        name: 'warn',
+        description: 'Avisa a un miembro',
+        default_member_permissions: PERMISSIONS.MODERATE_MEMBERS,
+        options: [memberOption('Miembro a avisar'), reasonOption('Motivo del aviso')]
+    }),
+    sanctionCommand('mute', {
+        name: 'mute',
+        description: 'Aísla temporalmente a un miembro',
+        default_member_permissions: PERMISSIONS.MODERATE_MEMBERS,
+        options: [
+            memberOption('Miembro a aislar'),
+            { type: OPTION_TYPES.INTEGER, name: 'minutos', description: 'Duración en minutos', required: true, min_value: 1, max_value: 40320 },
+            reasonOption('Motivo del aislamiento')
+        ]
+    }),
+    sanctionCommand('kick', {
+        name: 'kick',
+        description: 'Expulsa a un miembro',
+        default_member_permissions: PERMISSIONS.KICK_MEMBERS,
+        options: [memberOption('Miembro a expulsar'), reasonOption('Motivo de la expulsión')]
+    }),
+    sanctionCommand('ban', {
+        name: 'ban',
+        description: 'Banea a un miembro',
+        default_member_permissions: PERMISSIONS.BAN_MEMBERS,
+        options: [memberOption('Miembro a banear'), reasonOption('Motivo del baneo')]
+    }),
+    {
+        definition: {
+            name: 'casos',
+            description: 'Historial de sanciones de un miembro',
+            default_member_permissions: PERMISSIONS.MODERATE_MEMBERS,
+            options: [memberOption('Miembro a consultar')]
+        },
+        handler(interaction) {
+            const locale = interactions.getInteractionLocale(interaction);
+            if (!interaction.guild_id) return ephemeral(t(locale, 'interactions.guild_only'));
+
+            const target = getMemberOption(interaction, 'miembro');
+            const cases = moderation.listCases(interaction.guild_id, {
+                userId: target.id,
+                limit: MAX_LISTED_CASES
+            });
+
+            if (cases.length === 0) {
+                return ephemeral(t(locale, 'interactions.cases_empty', { target: target.mention }));
+            }
+
+            const lines = cases.map(modCase => [
+                `**#${modCase.caseNumber}** ${modCase.type}`,
+                modCase.reason || t(locale, 'interactions.no_reason'),
+                `<t:${Math.floor(Date.parse(modCase.createdAt) / 1000)}:d>`,
+                ...(modCase.pardoned ? [t(locale, 'interactions.pardoned')] : [])
+            ].join(' · '));
+
+            return ephemeral([t(locale, 'interactions.cases_title', { target: target.mention }), ...lines].join('\n'));
+        }
+    }
+];
+
+// Registrar los comandos en el endpoint de interacciones (una vez, al arrancar)
+function registerBotCommands() {
+    COMMANDS.forEach(({ definition, handler }) => interactions.registerCommand(definition, handler));
+}
+
+module.exports = { registerBotCommands };
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { BOT_PERMISSIONS } = require('./guild-details');
+
+// Tiempo que tiene el usuario para aceptar la invitación en Discord
+const INSTALL_STATE_TTL = 10 * 60 * 1000;
+
+// Invitaciones pendientes: state -> { userId, guildId, createdAt }.
+// Van ligadas al usuario y no a la sesión porque el dashboard llama al
+// backend con su propia sesión y Discord vuelve con la cookie del navegador.
+const pendingInstalls = new Map();
+
+// Permisos que pide la invitación: los que usa el panel salvo que se configuren otros
+function getInvitePermissions(configured) {
+    if (configured) return configured;
+    return Object.values(BOT_PERMISSIONS)
+        .reduce((total, { bit }) => total | bit, 0n)
+        .toString();
+}
+
+function cleanupInstallStates() {
+    const now = Date.now();
+    pendingInstalls.forEach((entry, state) => {
+        if (now - entry.createdAt >= INSTALL_STATE_TTL) {
+            pendingInstalls.delete(state);
+        }
+    });
+}
+
+function createInstallState(userId, guildId) {
+    cleanupInstallStates();
+
+    const state = crypto.randomBytes(24).toString('base64url');
+    pendingInstalls.set(state, { userId, guildId, createdAt: Date.now() });
+    return state;
+}
+
+// Comprobar el state del callback. Cada state sirve una sola vez.
+function consumeInstallState(state) {
+    if (typeof state !== 'string') return null;
+
+    const entry = pendingInstalls.get(state);
+    pendingInstalls.delete(state);
+
+    if (!entry || Date.now() - entry.createdAt >= INSTALL_STATE_TTL) return null;
+    return { userId: entry.userId, guildId: entry.guildId };
+}
+
+// Enlace de invitación del bot con el servidor ya elegido
+function buildInviteUrl({ clientId, guildId, permissions, redirectUri, state }) {
+    const params = new URLSearchParams({
+        client_id: clientId,
+        scope: 'bot applications.commands',
+        permissions: getInvitePermissions(permissions),
+        guild_id: guildId,
+        disable_guild_select: 'true',
+        response_type: 'code',
+        redirect_uri: redirectUri,
+        state
+    });
+    return `https://discord.com/oauth2/authorize?${params}`;
+}
+
+module.exports = {
+    getInvitePermissions,
+    createInstallState,
+    consumeInstallState,
+    buildInviteUrl
+};
@@ -0,0 +1,212 @@
+const { getStore } = require('./json-store');
+const { botRequest } = require('./discord-bot');
+const { getInteractionLocale, getCommandDefinitions } = require('./interactions');
+const { t } = require('./i18n');
+
+const store = getStore('command-settings');
+
+// Canales y roles permitidos como máximo en cada comando
+const MAX_RESTRICTIONS = 25;
+
+const SNOWFLAKE_REGEX = /^\d{17,20}$/;
+
+// Nombres de comando que acepta Discord
+const COMMAND_NAME_REGEX = /^[-_\p{L}\p{N}]{1,32}$/u;
+
+// Campos que se comparan al sincronizar, con sus valores por defecto en Discord
+function normalizeOption(option) {
+    const normalized = {
+        type: option.type,
+        name: option.name,
+        description: option.description,
+        required: option.required || false
+    };
+    ['min_value', 'max_value', 'min_length', 'max_length', 'autocomplete'].forEach(field => {
+        if (option[field] !== undefined) normalized[field] = option[field];
+    });
+    if (option.choices) {
+        normalized.choices = option.choices.map(({ name, value }) => ({ name, value }));
+    }
+    if (option.options) {
+        normalized.options = option.options.map(normalizeOption);
+    }
+    return normalized;
+}
+
+function normalizeCommand(command) {
+    return {
+        type: command.type || 1,
+        name: command.name,
+        description: command.description,
+        default_member_permissions: command.default_member_permissions ?? null,
+        nsfw: command.nsfw || false,
+        options: (command.options || []).map(normalizeOption)
+    };
+}
+
+// Diferencias entre las definiciones de los comandos del bot y lo que tiene Discord.
+// Los comandos remotos sin definición aquí quedan en unmanaged y nunca se tocan.
+function diffCommands(definitions, remote) {
+    const remoteByName = new Map(remote.map(command => [command.name, command]));
+    const definedNames = new Set(definitions.map(command => command.name));
+    const diff = { create: [], update: [], unmanaged: [], unchanged: [] };
+
+    definitions.forEach(definition => {
+        const current = remoteByName.get(definition.name);
+        if (!current) {
+            diff.create.push(definition.name);
+            return;
+        }
+
+        const wanted = normalizeCommand(definition);
+        const existing = normalizeCommand(current);
+        const changes = Object.keys(wanted)
+            .filter(field => JSON.stringify(wanted[field]) !== JSON.stringify(existing[field]));
+
+        if (changes.length > 0) {
+            diff.update.push({ id: current.id, name: definition.name, changes });
+        } else {
+            diff.unchanged.push(definition.name);
+        }
+    });
+
+    remote
+        .filter(command => !definedNames.has(command.name))
+        .forEach(command => diff.unmanaged.push(command.name));
+
+    return diff;
+}
+
+// Comandos registrados en Discord: globales y, si se pide, los de un servidor
+async function listApplicationCommands(applicationId, guildId = null) {
+    const [global, guild] = await Promise.all([
+        botRequest('get', `/applications/${applicationId}/commands`),
+        guildId ? botRequest('get', `/applications/${applicationId}/guilds/${guildId}/commands`) : []
+    ]);
+    return { global, guild };
+}
+
+// Subir como comandos globales los que tienen manejador registrado. Solo se crean los
+// que faltan y se actualizan los que cambian, uno a uno: la sobrescritura en bloque
+// borraría los comandos globales que no son del bot. Con dryRun solo se calcula el diff.
+async function syncCommands(applicationId, { dryRun = true } = {}) {
+    const definitions = getCommandDefinitions();
+    const { global } = await listApplicationCommands(applicationId);
+    const diff = diffCommands(definitions, global);
+    const hasChanges = diff.create.length + diff.update.length > 0;
+
+    if (dryRun || !hasChanges) {
+        return { dryRun, applied: false, diff };
+    }
+
+    const byName = new Map(definitions.map(definition => [definition.name, definition]));
+    for (const name of diff.create) {
+        await botRequest('post', `/applications/${applicationId}/commands`, {
+            data: byName.get(name)
+        });
+    }
+    for (const { id, name } of diff.update) {
+        await botRequest('patch', `/applications/${applicationId}/commands/${id}`, {
+            data: byName.get(name)
+        });
+    }
+    return { dryRun, applied: true, diff };
+}
+
+function defaultSettings() {
+    return { enabled: true, channels: [], roles: [] };
+}
+
+function getSettings(guildId, name) {
+    return { ...defaultSettings(), ...(store.get(guildId) || {})[name] };
+}
+
+// knownNames: comandos que existen en Discord para el servidor (globales y propios)
+function validateCommandSettings(name, input, knownNames = []) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: [{ code: 'body_object' }] };
+    }
+
+    if (!COMMAND_NAME_REGEX.test(name)) {
+        errors.push({ code: 'command_name' });
+    } else if (!knownNames.includes(name)) {
+        errors.push({ code: 'command_unknown', params: { name } });
+    }
+
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+        errors.push({ code: 'boolean', params: { field: 'enabled' } });
+    }
+
+    ['channels', 'roles'].forEach(field => {
+        if (input[field] === undefined) return;
+        if (!Array.isArray(input[field]) || input[field].some(id => typeof id !== 'string' || !SNOWFLAKE_REGEX.test(id))) {
+            errors.push({ code: 'id_list', params: { field } });
+        } else if (input[field].length > MAX_RESTRICTIONS) {
+            errors.push({ code: 'list_max', params: { field, max: MAX_RESTRICTIONS } });
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+// Ajustes de un comando en un servidor (solo los campos enviados)
+function updateCommandSettings(guildId, name, input, userId) {
+    const all = store.get(guildId) || {};
+    const settings = {
+        ...getSettings(guildId, name),
+        ...(input.enabled !== undefined && { enabled: input.enabled }),
+        ...(input.channels && { channels: [...new Set(input.channels)] }),
+        ...(input.roles && { roles: [...new Set(input.roles)] }),
+        updatedAt: new Date().toISOString(),
+        updatedBy: userId
+    };
+    store.set(guildId, { ...all, [name]: settings });
+    return settings;
+}
+
+// Comandos de Discord con los ajustes del servidor
+function mergeSettings(guildId, commands, scope) {
+    return commands.map(command => ({
+        id: command.id,
+        name: command.name,
+        description: command.description,
+        scope,
+        ...getSettings(guildId, command.name)
+    }));
+}
+
+// Discord no deja limitar comandos por canal o rol con el token del bot, así que
+// se comprueba al recibir la interacción. Devuelve el motivo del rechazo o null.
+function checkCommandAllowed(interaction) {
+    if (!interaction.guild_id || !interaction.data?.name) return null;
+
+    const locale = getInteractionLocale(interaction);
+    const settings = getSettings(interaction.guild_id, interaction.data.name);
+    if (!settings.enabled) {
+        return t(locale, 'interactions.command_disabled');
+    }
+
+    const channelIds = [interaction.channel_id, interaction.channel?.parent_id].filter(Boolean);
+    if (settings.channels.length > 0 && !settings.channels.some(id => channelIds.includes(id))) {
+        return t(locale, 'interactions.command_channel');
+    }
+
+    const memberRoles = interaction.member?.roles || [];
+    if (settings.roles.length > 0 && !settings.roles.some(id => memberRoles.includes(id))) {
+        return t(locale, 'interactions.command_roles');
+    }
+
+    return null;
+}
+
+module.exports = {
+    diffCommands,
+    listApplicationCommands,
+    syncCommands,
+    validateCommandSettings,
+    updateCommandSettings,
+    mergeSettings,
+    checkCommandAllowed
+};
@@ -0,0 +1,101 @@
+const { getStore } = require('./json-store');
+
+const store = getStore('config-backups');
+
+// Versiones que se conservan por servidor
+const BACKUP_LIMIT = parseInt(process.env.CONFIG_BACKUP_LIMIT, 10) || 20;
+
+// Formato de los archivos de exportación
+const EXPORT_FORMAT = 'cofonita-config';
+const EXPORT_FORMAT_VERSION = 1;
+
+function getGuildRecord(guildId) {
+    return store.get(guildId) || { nextVersion: 1, versions: [] };
+}
+
+// Guardar una copia de la configuración. source: update | restore | import
+function recordSnapshot(guildId, { config, updatedAt, updatedBy }, source = 'update') {
+    const record = getGuildRecord(guildId);
+    const snapshot = {
+        version: record.nextVersion,
+        config: JSON.parse(JSON.stringify(config)),
+        createdAt: updatedAt,
+        createdBy: updatedBy,
+        source
+    };
+
+    record.versions.push(snapshot);
+    record.versions = record.versions.slice(-BACKUP_LIMIT);
+    record.nextVersion++;
+    store.set(guildId, record);
+    return snapshot;
+}
+
+// Lista de versiones, la más reciente primero
+function listSnapshots(guildId) {
+    return getGuildRecord(guildId).versions.slice().reverse();
+}
+
+function getSnapshot(guildId, version) {
+    return getGuildRecord(guildId).versions.find(v => v.version === version) || null;
+}
+
+// Diferencias campo a campo entre dos configuraciones
+function diffConfigs(before, after, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const a = before ? before[key] : undefined;
+        const b = after ? after[key] : undefined;
+
+        if (a && b && typeof a === 'object' && typeof b === 'object') {
+            changes.push(...diffConfigs(a, b, path));
+        } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+            changes.push({
+                path,
+                before: a === undefined ? null : a,
+                after: b === undefined ? null : b
+            });
+        }
+    });
+
+    return changes;
+}
+
+// Documento de exportación
+function buildExport(guildId, config) {
+    return {
+        format: EXPORT_FORMAT,
+        formatVersion: EXPORT_FORMAT_VERSION,
+        guildId,
+        exportedAt: new Date().toISOString(),
+        config
+    };
+}
+
+// Extraer la configuración de un documento importado.
+// Si no es válido, error es el código del mensaje (errors.<código> en locales/).
+function parseImport(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'invalid_import' };
+    }
+    if (body.format !== EXPORT_FORMAT) {
+        return { error: 'invalid_import_format', params: { format: EXPORT_FORMAT } };
+    }
+    if (body.formatVersion !== EXPORT_FORMAT_VERSION) {
+        return { error: 'invalid_import_version', params: { version: body.formatVersion } };
+    }
+    return { config: body.config };
+}
+
+module.exports = {
+    BACKUP_LIMIT,
+    recordSnapshot,
+    listSnapshots,
+    getSnapshot,
+    diffConfigs,
+    buildExport,
+    parseImport
+};
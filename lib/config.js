@@ -0,0 +1,118 @@
+// Configuración de despliegue compartida por server.js y dashboard-server.js.
+// Las URLs salen de variables de entorno; cada perfil aporta valores por defecto.
+
+const PROFILES = {
+    development: {
+        websiteUrl: 'http://localhost:3000',
+        apiUrl: 'http://localhost:3000',
+        dashboardUrl: 'http://localhost:10000',
+        allowInsecure: true
+    },
+    staging: {
+        // Sin valores por defecto: staging debe declarar sus URLs
+        allowInsecure: false
+    },
+    production: {
+        websiteUrl: 'https://cofonitabot.netlify.app',
+        apiUrl: 'https://cofonita-web.onrender.com',
+        dashboardUrl: 'https://cofonitabot.onrender.com',
+        allowInsecure: false
+    }
+};
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Configuración inválida:\n${errors.map(e => `   • ${e}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+function stripTrailingSlash(url) {
+    return url ? url.replace(/\/+$/, '') : url;
+}
+
+// Cargar y validar la configuración. Lanza ConfigError con todos los problemas.
+// El perfil sale solo de APP_ENV: NODE_ENV lo fijan a su manera muchos entornos
+// (test, por ejemplo) y no debe impedir arrancar.
+function loadConfig(env = process.env) {
+    const profile = (env.APP_ENV || 'production').toLowerCase();
+    const defaults = PROFILES[profile];
+    const errors = [];
+
+    if (!defaults) {
+        throw new ConfigError([`Perfil desconocido "${profile}" (APP_ENV): usa ${Object.keys(PROFILES).join(', ')}`]);
+    }
+
+    const websiteUrl = stripTrailingSlash(env.WEBSITE_URL || env.FRONTEND_URL || defaults.websiteUrl);
+    const apiUrl = stripTrailingSlash(env.API_URL || env.MAIN_SERVER_URL || defaults.apiUrl);
+    const dashboardUrl = stripTrailingSlash(env.DASHBOARD_URL || defaults.dashboardUrl || websiteUrl);
+    const redirectUrl = env.REDIRECT_URL || (apiUrl ? `${apiUrl}/auth/discord/callback` : undefined);
+    const installRedirectUrl = env.INSTALL_REDIRECT_URL || (apiUrl ? `${apiUrl}/auth/discord/install/callback` : undefined);
+
+    const urls = {
+        WEBSITE_URL: websiteUrl,
+        API_URL: apiUrl,
+        DASHBOARD_URL: dashboardUrl,
+        REDIRECT_URL: redirectUrl,
+        INSTALL_REDIRECT_URL: installRedirectUrl
+    };
+
+    Object.entries(urls).forEach(([name, value]) => {
+        if (!value) {
+            errors.push(`${name} es obligatoria en el perfil ${profile}`);
+            return;
+        }
+
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            errors.push(`${name} no es una URL válida: "${value}"`);
+            return;
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            errors.push(`${name} debe usar http o https: "${value}"`);
+        } else if (!defaults.allowInsecure && url.protocol !== 'https:') {
+            errors.push(`${name} debe usar https en el perfil ${profile}: "${value}"`);
+        }
+
+        if (!defaults.allowInsecure && LOCAL_HOSTS.includes(url.hostname)) {
+            errors.push(`${name} no puede ser localhost en el perfil ${profile} (usa APP_ENV=development)`);
+        }
+    });
+
+    // Entero de permisos de Discord en decimal, como lo da el portal de desarrolladores
+    const botPermissions = env.BOT_PERMISSIONS || null;
+    if (botPermissions && !/^\d{1,20}$/.test(botPermissions)) {
+        errors.push(`BOT_PERMISSIONS debe ser un entero de permisos de Discord: "${botPermissions}"`);
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    const trustProxy = env.TRUST_PROXY !== undefined
+        ? env.TRUST_PROXY === 'true' || env.TRUST_PROXY === '1'
+        : profile !== 'development';
+
+    return {
+        profile,
+        isDevelopment: profile === 'development',
+        websiteUrl,
+        apiUrl,
+        dashboardUrl,
+        redirectUrl,
+        installRedirectUrl,
+        botPermissions,
+        // En desarrollo las cookies funcionan sobre http
+        cookieSecure: !defaults.allowInsecure,
+        // Render y Netlify ponen un proxy delante: sin esto req.secure es false
+        trustProxy
+    };
+}
+
+module.exports = { PROFILES, ConfigError, loadConfig };
@@ -0,0 +1,54 @@
+const { apiError } = require('./i18n');
+const logger = require('./logger').logger.child({ module: 'csrf' });
+
+// Protección CSRF de las rutas que cambian datos. Un formulario de otra web puede
+// hacer un POST con la cookie de sesión del usuario sin pasar por el preflight de
+// CORS, así que se exige JSON (un formulario no puede enviarlo) y que la petición
+// venga de una de las webs permitidas según Origin o, si no lo hay, Referer.
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function getOrigin(value) {
+    try {
+        return new URL(value).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+// allowedOrigins: webs que llaman a la API con la sesión del usuario (la propia
+// siempre vale). requireOrigin: rechazar también las peticiones sin Origin ni
+// Referer; sin él pasan las que no vienen de un navegador (p. ej. el dashboard
+// llamando al backend), que no llevan la cookie del usuario por su cuenta.
+// skip: rutas que se autentican de otra forma (firma de Discord, secreto del bot).
+function createCsrfGuard({ allowedOrigins = [], requireOrigin = false, skip = [] } = {}) {
+    const allowed = new Set(allowedOrigins.map(getOrigin).filter(Boolean));
+
+    return (req, res, next) => {
+        if (SAFE_METHODS.includes(req.method) || skip.includes(req.path)) {
+            return next();
+        }
+
+        // urlencoded, multipart y text/plain son los tipos que puede enviar un formulario
+        if (req.get('Content-Type') && !req.is('application/json')) {
+            logger.warn('Petición rechazada: el cuerpo no es JSON', { path: req.path });
+            return res.status(415).json(apiError(req, 'json_required'));
+        }
+
+        // "null" (iframes aislados, algunas redirecciones) no identifica ninguna web
+        const header = req.get('Origin') || req.get('Referer');
+        const origin = header && header !== 'null' ? getOrigin(header) : null;
+
+        if (!header && !requireOrigin) {
+            return next();
+        }
+
+        if (!origin || (!allowed.has(origin) && origin !== `${req.protocol}://${req.get('host')}`)) {
+            logger.warn('Petición rechazada: origen no permitido', { path: req.path, origin: header });
+            return res.status(403).json(apiError(req, 'origin_not_allowed'));
+        }
+
+        next();
+    };
+}
+
+module.exports = { createCsrfGuard };
@@ -0,0 +1,275 @@
+const axios = require('axios');
+const { DISCORD_API } = require('./discord-oauth');
+const logger = require('./logger').logger.child({ module: 'discord-bot' });
+
+// Reintentos ante un 429 antes de rendirse, y espera máxima que se acepta
+const MAX_RETRIES = 3;
+const MAX_RETRY_WAIT = 15000;
+
+const SNOWFLAKE_SEGMENT = /\/\d{17,20}(?=\/|$)/g;
+const MAJOR_PARAMETER = /^\/(guilds|channels|webhooks)\/(\d{17,20})/;
+
+// Ruta (método + path sin IDs) -> bucket que Discord nos ha dicho que usa
+const routeBuckets = new Map();
+
+// Estado de cada bucket: peticiones restantes, cuándo se reinicia y su cola
+const buckets = new Map();
+
+// Límite global de la aplicación (50 peticiones/s en todo el bot)
+let globalResetAt = 0;
+
+// Peticiones GET idénticas en vuelo que se comparten
+const inflight = new Map();
+
+class DiscordAPIError extends Error {
+    constructor({ method, path, status, code = null, message }) {
+        super(message || `Discord respondió ${status} en ${method.toUpperCase()} ${path}`);
+        this.name = 'DiscordAPIError';
+        this.method = method;
+        this.path = path;
+        this.status = status;
+        // Código de error JSON de Discord (p. ej. 10007 = Unknown Member)
+        this.code = code;
+    }
+}
+
+class DiscordRateLimitError extends DiscordAPIError {
+    constructor({ method, path, retryAfter, global, scope }) {
+        super({
+            method,
+            path,
+            status: 429,
+            message: `Límite de Discord alcanzado en ${method.toUpperCase()} ${path} (reintentar en ${retryAfter}ms)`
+        });
+        this.name = 'DiscordRateLimitError';
+        this.retryAfter = retryAfter;
+        this.global = global;
+        this.scope = scope;
+    }
+}
+
+// Discord no respondió (timeout, DNS, conexión cortada...)
+class DiscordConnectionError extends Error {
+    constructor({ method, path, cause }) {
+        super(`No se pudo conectar con Discord en ${method.toUpperCase()} ${path}: ${cause.message}`);
+        this.name = 'DiscordConnectionError';
+        this.method = method;
+        this.path = path;
+        this.status = null;
+        this.cause = cause;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Las rutas comparten límite salvo por el parámetro principal (servidor, canal o webhook)
+function getRouteKey(method, path) {
+    const major = path.match(MAJOR_PARAMETER);
+    const generic = path.replace(SNOWFLAKE_SEGMENT, '/:id');
+    return `${method.toLowerCase()} ${major ? generic.replace(`/${major[1]}/:id`, `/${major[1]}/${major[2]}`) : generic}`;
+}
+
+function getMajorParameter(path) {
+    const major = path.match(MAJOR_PARAMETER);
+    return major ? major[2] : 'global';
+}
+
+function getBucket(routeKey, major) {
+    const hash = routeBuckets.get(routeKey);
+    const key = hash ? `${hash}:${major}` : routeKey;
+
+    if (!buckets.has(key)) {
+        buckets.set(key, { remaining: 1, resetAt: 0, queue: Promise.resolve() });
+    }
+    return buckets.get(key);
+}
+
+// Las peticiones de un mismo bucket se envían de una en una y en orden
+function enqueue(bucket, task) {
+    const run = bucket.queue.then(task, task);
+    bucket.queue = run.catch(() => {});
+    return run;
+}
+
+// Esperar a que haya hueco en el límite global y en el del bucket.
+// Si la espera es demasiado larga se falla ya en lugar de colgar la petición.
+async function waitForLimits(bucket, method, path) {
+    const globalWait = globalResetAt - Date.now();
+    const bucketWait = bucket.remaining <= 0 ? bucket.resetAt - Date.now() : 0;
+    const wait = Math.max(globalWait, bucketWait);
+
+    if (wait > MAX_RETRY_WAIT) {
+        throw new DiscordRateLimitError({
+            method,
+            path,
+            retryAfter: wait,
+            global: globalWait === wait,
+            scope: globalWait === wait ? 'global' : 'user'
+        });
+    }
+    if (wait > 0) {
+        await sleep(wait);
+    }
+
+    if (bucket.resetAt <= Date.now()) {
+        // Sin datos frescos: se envía una y las cabeceras dirán el resto
+        bucket.remaining = 1;
+    }
+    bucket.remaining--;
+}
+
+// Actualizar el bucket con las cabeceras X-RateLimit-* de la respuesta
+function updateBucket(bucket, routeKey, major, headers) {
+    const hash = headers['x-ratelimit-bucket'];
+    if (hash && routeBuckets.get(routeKey) !== hash) {
+        routeBuckets.set(routeKey, hash);
+        if (!buckets.has(`${hash}:${major}`)) {
+            buckets.set(`${hash}:${major}`, bucket);
+        }
+    }
+
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const resetAfter = parseFloat(headers['x-ratelimit-reset-after']);
+
+    if (!Number.isNaN(remaining)) bucket.remaining = remaining;
+    if (!Number.isNaN(resetAfter)) bucket.resetAt = Date.now() + resetAfter * 1000;
+}
+
+async function execute(method, path, { data, params, reason }) {
+    const routeKey = getRouteKey(method, path);
+    const major = getMajorParameter(path);
+    const bucket = getBucket(routeKey, major);
+
+    const headers = {
+        Authorization: `Bot ${process.env.DISCORD_TOKEN}`,
+        'User-Agent': 'DiscordBot (https://cofonitabot.netlify.app, 1.0)'
+    };
+    if (reason) {
+        // Motivo visible en el registro de auditoría del servidor
+        headers['X-Audit-Log-Reason'] = encodeURIComponent(reason.slice(0, 512));
+    }
+
+    return enqueue(bucket, async () => {
+        for (let attempt = 0; ; attempt++) {
+            await waitForLimits(bucket, method, path);
+
+            let response;
+            try {
+                response = await axios({
+                    method,
+                    url: `${DISCORD_API}${path}`,
+                    data,
+                    params,
+                    headers,
+                    timeout: 10000,
+                    validateStatus: () => true
+                });
+            } catch (error) {
+                throw new DiscordConnectionError({ method, path, cause: error });
+            }
+
+            updateBucket(bucket, routeKey, major, response.headers);
+
+            if (response.status === 429) {
+                const body = response.data || {};
+                const seconds = body.retry_after ?? parseFloat(response.headers['retry-after']);
+                const retryAfter = Math.ceil((Number.isFinite(seconds) ? seconds : 1) * 1000);
+                const isGlobal = body.global === true || response.headers['x-ratelimit-global'] === 'true';
+                const scope = response.headers['x-ratelimit-scope'] || (isGlobal ? 'global' : 'user');
+
+                if (isGlobal) {
+                    globalResetAt = Date.now() + retryAfter;
+                } else {
+                    bucket.remaining = 0;
+                    bucket.resetAt = Date.now() + retryAfter;
+                }
+
+                logger.warn('Límite de Discord alcanzado, esperando', { scope, route: routeKey, retryAfter });
+
+                if (attempt >= MAX_RETRIES || retryAfter > MAX_RETRY_WAIT) {
+                    throw new DiscordRateLimitError({ method, path, retryAfter, global: isGlobal, scope });
+                }
+                continue;
+            }
+
+            if (response.status >= 400) {
+                throw new DiscordAPIError({
+                    method,
+                    path,
+                    status: response.status,
+                    code: response.data?.code ?? null,
+                    message: response.data?.message
+                });
+            }
+
+            return response.data;
+        }
+    });
+}
+
+// Petición a la API REST de Discord autenticada con el token del bot.
+// Los GET idénticos que coinciden en el tiempo comparten una sola petición.
+function botRequest(method, path, { data, params, reason } = {}) {
+    if (method.toLowerCase() !== 'get') {
+        return execute(method, path, { data, params, reason });
+    }
+
+    const key = `${path}?${new URLSearchParams(params || {}).toString()}`;
+    if (!inflight.has(key)) {
+        const request = execute(method, path, { params })
+            .finally(() => inflight.delete(key));
+        inflight.set(key, request);
+    }
+    return inflight.get(key);
+}
+
+// Recorrer un listado paginado con el cursor `after` (IDs crecientes)
+async function paginate(path, { params = {}, limit = 200 } = {}) {
+    const results = [];
+    let after = null;
+
+    for (;;) {
+        const page = await botRequest('get', path, {
+            params: { ...params, limit, ...(after && { after }) }
+        });
+        results.push(...page);
+
+        if (page.length < limit) break;
+        after = page[page.length - 1].id;
+    }
+
+    return results;
+}
+
+// Estado HTTP y código de error (errors.* en locales/) para un error de Discord.
+// Cualquier otro error es un fallo nuestro y se responde como error interno.
+function describeDiscordError(error) {
+    if (error instanceof DiscordConnectionError) {
+        return { status: 502, code: 'discord_unavailable' };
+    }
+    if (!(error instanceof DiscordAPIError)) {
+        return { status: 500, code: 'internal_error' };
+    }
+
+    if (error.status === 403) {
+        return { status: 403, code: 'discord_missing_permissions' };
+    }
+    if (error.status === 404) {
+        return { status: 404, code: 'discord_not_found' };
+    }
+    if (error.status === 429) {
+        return { status: 429, code: 'discord_rate_limited' };
+    }
+    return { status: 502, code: 'discord_unavailable' };
+}
+
+module.exports = {
+    DiscordAPIError,
+    DiscordRateLimitError,
+    DiscordConnectionError,
+    botRequest,
+    paginate,
+    describeDiscordError
+};
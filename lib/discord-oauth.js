@@ -0,0 +1,64 @@
+const axios = require('axios');
+
+const DISCORD_API = 'https://discord.com/api/v10';
+
+// Margen para renovar el token antes de que caduque de verdad
+const EXPIRY_MARGIN = 60 * 1000;
+
+// Calcular la fecha de caducidad a partir de expires_in (segundos)
+function getTokenExpiry(expiresIn) {
+    return Date.now() + (parseInt(expiresIn, 10) || 0) * 1000;
+}
+
+function isTokenExpired(profile) {
+    if (!profile.tokenExpiresAt) return true;
+    return profile.tokenExpiresAt - EXPIRY_MARGIN <= Date.now();
+}
+
+// Renovar el access token con el refresh token
+async function refreshAccessToken(refreshToken, { clientId, clientSecret }) {
+    const body = new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken
+    });
+
+    const response = await axios.post(`${DISCORD_API}/oauth2/token`, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+    });
+
+    return {
+        accessToken: response.data.access_token,
+        refreshToken: response.data.refresh_token,
+        tokenExpiresAt: getTokenExpiry(response.data.expires_in)
+    };
+}
+
+// Renovar los tokens del perfil si han caducado (modifica el perfil)
+async function ensureFreshToken(profile, credentials) {
+    if (!isTokenExpired(profile)) return false;
+
+    const tokens = await refreshAccessToken(profile.refreshToken, credentials);
+    Object.assign(profile, tokens);
+    return true;
+}
+
+// Obtener los servidores del usuario con su token OAuth2
+async function fetchUserGuilds(accessToken) {
+    const response = await axios.get(`${DISCORD_API}/users/@me/guilds`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: 10000
+    });
+    return response.data;
+}
+
+module.exports = {
+    DISCORD_API,
+    getTokenExpiry,
+    isTokenExpired,
+    refreshAccessToken,
+    ensureFreshToken,
+    fetchUserGuilds
+};
@@ -0,0 +1,60 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const logger = require('./logger').logger.child({ module: 'events' });
+
+// Eventos que se pueden notificar
+const EVENT_TYPES = [
+    'guild.bot_joined',
+    'guild.bot_left',
+    'config.changed',
+    'moderation.case_created',
+    'telemetry.heartbeat_missed'
+];
+
+// Eventos recientes para que los clientes SSE que se reconectan no pierdan nada
+const RECENT_EVENTS_LIMIT = 500;
+const recentEvents = [];
+
+// Cada cliente SSE del panel añade un suscriptor: sin límite, para que con muchos
+// paneles abiertos Node no avise de una fuga de memoria que no lo es
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Publicar un evento. guildId = null para eventos globales del bot.
+function emitEvent(type, guildId, data = {}) {
+    const event = {
+        id: crypto.randomUUID(),
+        type,
+        guildId,
+        timestamp: new Date().toISOString(),
+        data
+    };
+
+    recentEvents.push(event);
+    if (recentEvents.length > RECENT_EVENTS_LIMIT) recentEvents.shift();
+
+    // Un suscriptor con errores no debe romper la petición que publica
+    bus.listeners('event').forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            logger.error('Error procesando evento', { type, err: error });
+        }
+    });
+
+    return event;
+}
+
+function onEvent(listener) {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+}
+
+// Eventos posteriores a lastEventId, o null si ya no está en memoria
+// (el cliente debe recargarlo todo)
+function getEventsSince(lastEventId) {
+    const index = recentEvents.findIndex(event => event.id === lastEventId);
+    return index === -1 ? null : recentEvents.slice(index + 1);
+}
+
+module.exports = { EVENT_TYPES, emitEvent, onEvent, getEventsSince };
@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const { getStore } = require('./json-store');
+const { botRequest } = require('./discord-bot');
+const members = require('./members');
+
+// Ranking de "COFONITA: AGENTE DE DATOS". Las puntuaciones no las manda el juego:
+// el servidor abre una partida de misión (run) al empezarla, anota con su propia
+// hora cada hackeo o guardia eliminado que le avisa el juego y, al completarla,
+// calcula los puntos solo con esos eventos y el tiempo que ha medido él.
+const runsStore = getStore('game-runs');
+const scoresStore = getStore('game-scores');
+const rewardsStore = getStore('game-rewards');
+
+// Reglas de cada misión (MISSIONS en game/easteregg.html). hacks y enemies son los
+// terminales hackeados y guardias eliminados durante la misión; minDuration y
+// parTime en segundos: por debajo de minDuration no se acepta, por debajo de
+// parTime se da bonificación.
+const MISSIONS = {
+    1: { reward: 1000, hacks: [3, 4], enemies: [0, 0], minDuration: 20, parTime: 180 },
+    2: { reward: 2000, hacks: [0, 10], enemies: [3, 3], minDuration: 60, parTime: 300 },
+    3: { reward: 5000, hacks: [1, 10], enemies: [0, 5], minDuration: 45, parTime: 420 }
+};
+
+// Datos que da cada hackeo
+const DATA_PER_HACK = 500;
+
+// Eventos de misión que acepta el servidor y tiempo mínimo entre dos del mismo tipo
+// (un hackeo es una secuencia de 4 teclas; un guardia hay que alcanzarlo)
+const RUN_EVENTS = {
+    hack: { counter: 'hacks', minSeconds: 3 },
+    enemy: { counter: 'enemies', minSeconds: 2 }
+};
+
+// Puntos por cada segundo por debajo del tiempo de referencia
+const TIME_BONUS_PER_SECOND = 10;
+
+// Una misión sin completar se puede retomar durante un día
+const RUN_TTL = 24 * 60 * 60 * 1000;
+
+const MAX_LEADERBOARD_SIZE = 100;
+const MAX_REWARD_TOP = 10;
+
+const SNOWFLAKE_REGEX = /^\d{17,20}$/;
+
+function isValidMission(missionId) {
+    return Object.prototype.hasOwnProperty.call(MISSIONS, missionId);
+}
+
+function getScore(userId) {
+    return scoresStore.get(userId) || null;
+}
+
+// Misiones que el usuario puede empezar: las completadas y la siguiente
+function isMissionUnlocked(userId, missionId) {
+    const completed = Object.keys(getScore(userId)?.missions || {}).map(Number);
+    return Number(missionId) <= Math.max(0, ...completed) + 1;
+}
+
+function cleanupRuns(userId) {
+    const runs = runsStore.get(userId) || {};
+    const now = Date.now();
+    const active = Object.fromEntries(
+        // Las abiertas antes de anotar eventos no tienen con qué puntuarse
+        Object.entries(runs).filter(([, run]) => Array.isArray(run.events) && now - run.startedAt < RUN_TTL)
+    );
+    if (Object.keys(active).length !== Object.keys(runs).length) {
+        if (Object.keys(active).length > 0) runsStore.set(userId, active); else runsStore.delete(userId);
+    }
+    return active;
+}
+
+// Empezar (o retomar, si ya estaba abierta) una misión
+function startRun(userId, missionId) {
+    const runs = cleanupRuns(userId);
+    const existing = Object.values(runs).find(run => run.missionId === missionId);
+    if (existing) return existing;
+
+    const run = {
+        id: crypto.randomBytes(12).toString('hex'),
+        missionId,
+        startedAt: Date.now(),
+        events: []
+    };
+    runsStore.set(userId, { ...runs, [run.id]: run });
+    return run;
+}
+
+function getRun(userId, runId) {
+    return cleanupRuns(userId)[runId] || null;
+}
+
+function isValidRunEvent(type) {
+    return Object.prototype.hasOwnProperty.call(RUN_EVENTS, type);
+}
+
+function countEvents(run, type) {
+    return run.events.filter(event => event.type === type).length;
+}
+
+// Anotar un evento de la misión con la hora del servidor. Se rechaza si llega antes
+// del tiempo mínimo desde el anterior del mismo tipo (o desde el inicio) o si supera
+// el máximo de la misión.
+function recordRunEvent(userId, run, type, now = Date.now()) {
+    const rules = MISSIONS[run.missionId];
+    const { counter, minSeconds } = RUN_EVENTS[type];
+    const previous = run.events.filter(event => event.type === type).pop();
+    const since = (now - (previous ? previous.at : run.startedAt)) / 1000;
+
+    if (since < minSeconds) {
+        return { valid: false, errors: [{ code: 'run_event_too_soon', params: { type, seconds: minSeconds } }] };
+    }
+    if (countEvents(run, type) >= rules[counter][1]) {
+        return { valid: false, errors: [{ code: 'run_event_limit', params: { type, mission: run.missionId } }] };
+    }
+
+    const updated = { ...run, events: [...run.events, { type, at: now }] };
+    runsStore.set(userId, { ...cleanupRuns(userId), [run.id]: updated });
+    return { valid: true, errors: [], run: updated };
+}
+
+// Comprobar que la misión se puede dar por completada y calcular su puntuación con
+// los eventos anotados y el tiempo medido por el servidor. La bonificación por tiempo
+// nunca cuenta menos del tiempo que necesitan esos eventos.
+function evaluateRun(run, now = Date.now()) {
+    const rules = MISSIONS[run.missionId];
+    const duration = (now - run.startedAt) / 1000;
+    const hacks = countEvents(run, 'hack');
+    const enemies = countEvents(run, 'enemy');
+    const errors = [];
+
+    if (duration < rules.minDuration) {
+        errors.push({ code: 'run_too_fast', params: { mission: run.missionId, seconds: rules.minDuration } });
+    }
+    if (hacks < rules.hacks[0] || hacks > rules.hacks[1]) {
+        errors.push({ code: 'run_hacks_range', params: { min: rules.hacks[0], max: rules.hacks[1] } });
+    }
+    if (enemies < rules.enemies[0] || enemies > rules.enemies[1]) {
+        errors.push({ code: 'run_enemies_range', params: { min: rules.enemies[0], max: rules.enemies[1] } });
+    }
+
+    if (errors.length > 0) return { valid: false, errors };
+
+    const minimumTime = Math.max(
+        rules.minDuration,
+        ...Object.entries(RUN_EVENTS).map(([type, { minSeconds }]) => countEvents(run, type) * minSeconds)
+    );
+    const timeBonus = Math.max(0, Math.floor(rules.parTime - Math.max(duration, minimumTime))) * TIME_BONUS_PER_SECOND;
+    const data = rules.reward + hacks * DATA_PER_HACK;
+    return {
+        valid: true,
+        errors,
+        result: {
+            score: data + timeBonus,
+            data,
+            duration: Math.round(duration)
+        }
+    };
+}
+
+// Cerrar una misión validada y guardar la mejor puntuación de cada misión
+function recordRun(user, run, result) {
+    const runs = cleanupRuns(user.id);
+    delete runs[run.id];
+    if (Object.keys(runs).length > 0) runsStore.set(user.id, runs); else runsStore.delete(user.id);
+
+    const entry = getScore(user.id) || { userId: user.id, missions: {} };
+    const previous = entry.missions[run.missionId];
+    const improved = !previous || result.score > previous.score;
+
+    if (improved) {
+        entry.missions[run.missionId] = { ...result, completedAt: new Date().toISOString() };
+    }
+
+    const missionResults = Object.values(entry.missions);
+    scoresStore.set(user.id, {
+        ...entry,
+        username: user.username,
+        avatar_url: user.avatar_url,
+        // Servidores del usuario para los rankings por servidor
+        guildIds: (user.guilds || []).map(guild => guild.id),
+        score: missionResults.reduce((sum, mission) => sum + mission.score, 0),
+        dataCollected: missionResults.reduce((sum, mission) => sum + mission.data, 0),
+        updatedAt: improved ? new Date().toISOString() : entry.updatedAt
+    });
+
+    return { improved, best: entry.missions[run.missionId] };
+}
+
+// Ranking global o de un servidor, de mayor a menor puntuación
+// (a igualdad se comparte puesto; se lista primero quien la consiguió antes)
+function getRanking(guildId = null) {
+    return scoresStore.entries()
+        .map(([, entry]) => entry)
+        .filter(entry => !guildId || entry.guildIds.includes(guildId))
+        .sort((a, b) => b.score - a.score || a.updatedAt.localeCompare(b.updatedAt));
+}
+
+// Puesto de cada posición: las puntuaciones iguales comparten el del primero
+function getRank(ranking, index) {
+    return ranking.findIndex(entry => entry.score === ranking[index].score) + 1;
+}
+
+// Entrada pública del ranking (sin el ID de Discord)
+function serializeEntry(entry, rank) {
+    return {
+        rank,
+        username: entry.username,
+        avatar_url: entry.avatar_url,
+        score: entry.score,
+        dataCollected: entry.dataCollected,
+        missionsCompleted: Object.keys(entry.missions).length
+    };
+}
+
+function getLeaderboard({ guildId = null, limit = 25, userId = null } = {}) {
+    const ranking = getRanking(guildId);
+    const position = userId ? ranking.findIndex(entry => entry.userId === userId) : -1;
+
+    return {
+        total: ranking.length,
+        entries: ranking.slice(0, Math.min(limit, MAX_LEADERBOARD_SIZE))
+            .map((entry, index) => serializeEntry(entry, getRank(ranking, index))),
+        me: position >= 0 ? serializeEntry(ranking[position], getRank(ranking, position)) : null
+    };
+}
+
+// Rol de recompensa de un servidor para los primeros del ranking
+function getReward(guildId) {
+    return rewardsStore.get(guildId) || { roleId: null, top: 3, holders: [] };
+}
+
+function validateReward(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: [{ code: 'body_object' }] };
+    }
+    if (input.roleId !== null && (typeof input.roleId !== 'string' || !SNOWFLAKE_REGEX.test(input.roleId))) {
+        errors.push({ code: 'snowflake_or_null', params: { field: 'roleId' } });
+    }
+    if (!Number.isInteger(input.top) || input.top < 1 || input.top > MAX_REWARD_TOP) {
+        errors.push({ code: 'integer_range', params: { field: 'top', min: 1, max: MAX_REWARD_TOP } });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+function setReward(guildId, { roleId, top }, userId) {
+    const reward = {
+        ...getReward(guildId),
+        roleId,
+        top,
+        updatedBy: userId,
+        updatedAt: new Date().toISOString()
+    };
+    rewardsStore.set(guildId, reward);
+    return reward;
+}
+
+// Dar el rol a los primeros del ranking del servidor y quitárselo a quien ya no lo esté.
+// Con roleId null (o cambiado) se retira el rol que se dio antes.
+async function syncRewardRole(guildId) {
+    const reward = getReward(guildId);
+    const previousRoleId = reward.grantedRoleId || reward.roleId;
+    const top = reward.roleId
+        ? getRanking(guildId).slice(0, reward.top).map(entry => entry.userId)
+        : [];
+
+    if (reward.roleId) {
+        // Solo importa la jerarquía del bot: el rol lo eligió un gestor al configurarlo
+        const hierarchy = await members.getHierarchy(guildId, null, true);
+        const role = hierarchy.roles.find(r => r.id === reward.roleId);
+        if (!role) {
+            const error = new Error('Rol no encontrado');
+            error.status = 404;
+            error.code = 'role_not_found';
+            throw error;
+        }
+        if (!members.canManageRole(hierarchy, role, guildId)) {
+            throw new members.HierarchyError('role_above_bot', 'El rol está por encima del rol más alto del bot');
+        }
+    }
+
+    const changes = [
+        ...reward.holders
+            .filter(userId => previousRoleId !== reward.roleId || !top.includes(userId))
+            .map(userId => ({ userId, roleId: previousRoleId, add: false })),
+        ...top
+            .filter(userId => previousRoleId !== reward.roleId || !reward.holders.includes(userId))
+            .map(userId => ({ userId, roleId: reward.roleId, add: true }))
+    ].filter(change => change.roleId);
+
+    const holders = new Set(previousRoleId === reward.roleId ? reward.holders : []);
+    let added = 0;
+    let removed = 0;
+    for (const change of changes) {
+        try {
+            await botRequest(change.add ? 'put' : 'delete', `/guilds/${guildId}/members/${change.userId}/roles/${change.roleId}`, {
+                reason: 'Ranking del juego de Cofonita'
+            });
+            if (change.add) {
+                holders.add(change.userId);
+                added++;
+            } else {
+                holders.delete(change.userId);
+                removed++;
+            }
+        } catch (error) {
+            // 10007 = Unknown Member: ya no está en el servidor
+            if (error.code !== 10007) throw error;
+            holders.delete(change.userId);
+        }
+    }
+
+    const synced = {
+        ...reward,
+        grantedRoleId: reward.roleId,
+        holders: [...holders],
+        lastSyncAt: new Date().toISOString()
+    };
+    rewardsStore.set(guildId, synced);
+    return { ...synced, added, removed };
+}
+
+// Servidores del usuario con rol de recompensa configurado (para resincronizar tras una puntuación)
+function getRewardGuilds(user) {
+    return (user.guilds || [])
+        .map(guild => guild.id)
+        .filter(guildId => getReward(guildId).roleId);
+}
+
+module.exports = {
+    MISSIONS,
+    MAX_LEADERBOARD_SIZE,
+    MAX_REWARD_TOP,
+    isValidMission,
+    isMissionUnlocked,
+    isValidRunEvent,
+    startRun,
+    getRun,
+    recordRunEvent,
+    evaluateRun,
+    recordRun,
+    getLeaderboard,
+    getReward,
+    validateReward,
+    setReward,
+    syncRewardRole,
+    getRewardGuilds
+};
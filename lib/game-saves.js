@@ -0,0 +1,334 @@
+const { getStore } = require('./json-store');
+
+// Partidas guardadas de "COFONITA: AGENTE DE DATOS" (game/easteregg.html) por usuario de Discord
+const store = getStore('game-saves');
+
+// Versión del formato de partida que usa el juego ahora mismo (CONFIG.VERSION)
+const CURRENT_VERSION = '1.0.3';
+
+const MAX_SLOTS = 3;
+
+// Tamaño máximo del estado de una partida en JSON
+const MAX_SAVE_BYTES = 32 * 1024;
+
+const VERSION_REGEX = /^\d+\.\d+\.\d+$/;
+
+// Estado de una partida nueva (el mismo que startNewGame() en el juego)
+const DEFAULT_STATE = {
+    agent: {
+        name: 'C4PT41N_0N3',
+        level: 1,
+        exp: 0,
+        health: 100,
+        maxHealth: 100,
+        energy: 100,
+        maxEnergy: 100,
+        dataCollected: 0,
+        dataCapacity: 10000,
+        position: { x: 400, y: 300 },
+        rotation: 0,
+        upgrades: {
+            hackSpeed: 1,
+            firewall: 1,
+            stealth: 1
+        },
+        inventory: []
+    },
+    mission: {
+        current: 1,
+        completed: [],
+        objectives: [],
+        progress: 0
+    },
+    world: {
+        time: 0,
+        discoveredAreas: ['zona_principal'],
+        enemiesDefeated: 0,
+        terminalsHacked: 0
+    },
+    story: {
+        chapter: 1,
+        dialoguesHeard: [],
+        loreDiscovered: 0
+    },
+    settings: {
+        sound: true,
+        music: true,
+        autosave: true,
+        effects: true
+    }
+};
+
+// Descripción de cada campo del estado para validarlo
+const number = (min, max) => ({ type: 'number', min, max });
+const integer = (min, max) => ({ type: 'integer', min, max });
+const string = (maxLength) => ({ type: 'string', maxLength });
+const list = (items, maxItems) => ({ type: 'list', items, maxItems });
+const boolean = { type: 'boolean' };
+
+const SCHEMA = {
+    agent: {
+        name: string(32),
+        level: integer(1, 1000),
+        exp: number(0, 1e9),
+        health: number(-1000, 1e6),
+        maxHealth: number(1, 1e6),
+        energy: number(0, 1e6),
+        maxEnergy: number(1, 1e6),
+        dataCollected: number(0, 1e12),
+        dataCapacity: number(0, 1e12),
+        position: {
+            x: number(-1e6, 1e6),
+            y: number(-1e6, 1e6)
+        },
+        rotation: number(-1000, 1000),
+        upgrades: {
+            hackSpeed: integer(0, 100),
+            firewall: integer(0, 100),
+            stealth: integer(0, 100)
+        },
+        inventory: list({
+            id: string(50),
+            name: string(100),
+            type: string(30)
+        }, 50)
+    },
+    mission: {
+        current: integer(1, 100),
+        completed: list(integer(1, 100), 100),
+        objectives: list(string(200), 20),
+        progress: number(0, 100)
+    },
+    world: {
+        time: number(0, 1e9),
+        discoveredAreas: list(string(50), 50),
+        enemiesDefeated: integer(0, 1e6),
+        terminalsHacked: integer(0, 1e6)
+    },
+    story: {
+        chapter: integer(1, 100),
+        dialoguesHeard: list(string(300), 200),
+        loreDiscovered: integer(0, 1e6)
+    },
+    settings: {
+        sound: boolean,
+        music: boolean,
+        autosave: boolean,
+        effects: boolean
+    }
+};
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// "1.0.10" > "1.0.9"
+function compareVersions(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < 3; i++) {
+        if (left[i] !== right[i]) return left[i] - right[i];
+    }
+    return 0;
+}
+
+// Completar con los valores por defecto las secciones y campos que falten
+function withDefaults(value, defaults) {
+    if (!isPlainObject(defaults)) return value === undefined ? defaults : value;
+    if (!isPlainObject(value)) return structuredClone(defaults);
+
+    const result = { ...value };
+    Object.keys(defaults).forEach(key => {
+        result[key] = withDefaults(value[key], defaults[key]);
+    });
+    return result;
+}
+
+// Pasos para actualizar partidas de versiones anteriores, en orden. Cada paso
+// recibe el estado tal como lo dejó el anterior; al subir CONFIG.VERSION en el
+// juego se añade aquí lo que haya cambiado en el formato.
+const MIGRATIONS = [
+    {
+        version: '1.0.3',
+        // Las partidas antiguas pueden no traer todas las secciones del estado
+        migrate: state => withDefaults(state, DEFAULT_STATE)
+    }
+];
+
+// Actualizar el estado guardado con una versión anterior. null si la versión
+// es posterior a la del servidor (un juego más nuevo que la API).
+function migrateState(state, version) {
+    if (compareVersions(version, CURRENT_VERSION) > 0) return null;
+
+    return MIGRATIONS
+        .filter(step => compareVersions(step.version, version) > 0)
+        .reduce((current, step) => step.migrate(current), state);
+}
+
+function validateValue(value, schema, field, errors) {
+    if (schema.type === undefined) {
+        if (!isPlainObject(value)) {
+            errors.push({ code: 'object', params: { field } });
+            return;
+        }
+        Object.keys(value).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(schema, key)) errors.push({ code: 'unknown_field', params: { field: `${field}.${key}` } });
+        });
+        Object.keys(schema).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ code: 'missing_field', params: { field: `${field}.${key}` } });
+            } else {
+                validateValue(value[key], schema[key], `${field}.${key}`, errors);
+            }
+        });
+        return;
+    }
+
+    switch (schema.type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)
+                || (schema.type === 'integer' && !Number.isInteger(value))
+                || value < schema.min || value > schema.max) {
+                errors.push({
+                    code: schema.type === 'integer' ? 'integer_range' : 'number_range',
+                    params: { field, min: schema.min, max: schema.max }
+                });
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string' || value.length > schema.maxLength) {
+                errors.push({ code: 'text_max', params: { field, max: schema.maxLength } });
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') errors.push({ code: 'boolean', params: { field } });
+            break;
+        case 'list':
+            if (!Array.isArray(value) || value.length > schema.maxItems) {
+                errors.push({ code: 'list_max', params: { field, max: schema.maxItems } });
+                return;
+            }
+            value.forEach((item, index) => validateValue(item, schema.items, `${field}[${index}]`, errors));
+            break;
+    }
+}
+
+// Validar una partida enviada por el juego: { version, timestamp, gameState }
+function validateSave(input) {
+    const errors = [];
+
+    if (!isPlainObject(input)) {
+        return { valid: false, errors: [{ code: 'body_object' }] };
+    }
+
+    if (typeof input.version !== 'string' || !VERSION_REGEX.test(input.version)) {
+        errors.push({ code: 'version_format', params: { field: 'version' } });
+    }
+
+    if (input.timestamp !== undefined && (!Number.isInteger(input.timestamp) || input.timestamp <= 0)) {
+        errors.push({ code: 'timestamp_ms', params: { field: 'timestamp' } });
+    }
+
+    if (!isPlainObject(input.gameState)) {
+        errors.push({ code: 'object', params: { field: 'gameState' } });
+    }
+
+    if (errors.length > 0) return { valid: false, errors };
+
+    const state = migrateState(input.gameState, input.version);
+    if (!state) {
+        return { valid: false, errors: [{ code: 'version_newer', params: { version: input.version, current: CURRENT_VERSION } }] };
+    }
+
+    validateValue(state, SCHEMA, 'gameState', errors);
+    return { valid: errors.length === 0, errors, gameState: state };
+}
+
+function isValidSlot(slot) {
+    return Number.isInteger(slot) && slot >= 1 && slot <= MAX_SLOTS;
+}
+
+function getSaves(userId) {
+    return store.get(userId) || {};
+}
+
+// Resumen de una partida para el menú de ranuras
+function summarize(slot, save) {
+    return {
+        slot,
+        version: save.version,
+        timestamp: save.timestamp,
+        updatedAt: save.updatedAt,
+        migratedFrom: save.migratedFrom || null,
+        level: save.gameState.agent.level,
+        mission: save.gameState.mission.current,
+        dataCollected: save.gameState.agent.dataCollected
+    };
+}
+
+// Ranuras ocupadas del usuario, la más reciente primero
+function listSaves(userId) {
+    return Object.entries(getSaves(userId))
+        .map(([slot, save]) => summarize(Number(slot), readSave(save)))
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// Partida guardada con una versión anterior del juego: se entrega ya actualizada
+function readSave(save) {
+    if (save.version === CURRENT_VERSION) return save;
+
+    const gameState = migrateState(save.gameState, save.version);
+    if (!gameState) return save;
+    return { ...save, version: CURRENT_VERSION, migratedFrom: save.version, gameState };
+}
+
+function getSave(userId, slot) {
+    const save = getSaves(userId)[slot];
+    return save ? readSave(save) : null;
+}
+
+// Guardar una partida ya validada (validateSave) en una ranura
+function putSave(userId, slot, input, gameState) {
+    const save = {
+        version: CURRENT_VERSION,
+        timestamp: input.timestamp || Date.now(),
+        updatedAt: new Date().toISOString(),
+        gameState
+    };
+    if (input.version !== CURRENT_VERSION) save.migratedFrom = input.version;
+
+    store.set(userId, { ...getSaves(userId), [slot]: save });
+    return save;
+}
+
+function deleteSave(userId, slot) {
+    const saves = getSaves(userId);
+    if (!saves[slot]) return false;
+
+    delete saves[slot];
+    if (Object.keys(saves).length > 0) {
+        store.set(userId, saves);
+    } else {
+        store.delete(userId);
+    }
+    return true;
+}
+
+// Bytes que ocupa el estado de una partida en JSON
+function getSaveSize(input) {
+    return Buffer.byteLength(JSON.stringify(input?.gameState ?? null));
+}
+
+module.exports = {
+    CURRENT_VERSION,
+    MAX_SLOTS,
+    MAX_SAVE_BYTES,
+    validateSave,
+    isValidSlot,
+    getSaveSize,
+    listSaves,
+    getSave,
+    putSave,
+    deleteSave
+};
@@ -0,0 +1,148 @@
+const { getStore } = require('./json-store');
+const backups = require('./config-backups');
+const { LOCALES } = require('./i18n');
+
+const store = getStore('guild-configs');
+
+// Idiomas soportados por el bot (los mismos que los del panel)
+const LANGUAGES = LOCALES;
+
+// Módulos del bot que se pueden activar/desactivar por servidor
+const MODULES = ['moderation', 'welcome', 'logs', 'analytics', 'notifications'];
+
+const DEFAULT_CONFIG = {
+    prefix: '!',
+    language: 'es',
+    logChannelId: null,
+    modules: {
+        moderation: true,
+        welcome: false,
+        logs: false,
+        analytics: true,
+        notifications: false
+    }
+};
+
+const SNOWFLAKE_REGEX = /^\d{17,20}$/;
+
+// Validar un documento de configuración.
+// Con partial = true solo se validan los campos presentes (PATCH).
+// Los errores son { code, params } del catálogo validation.* (locales/).
+function validateConfig(input, { partial = false } = {}) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: [{ code: 'body_object' }] };
+    }
+
+    const allowed = Object.keys(DEFAULT_CONFIG);
+    Object.keys(input).forEach(key => {
+        if (!allowed.includes(key)) {
+            errors.push({ code: 'unknown_field', params: { field: key } });
+        }
+    });
+
+    const check = (key, validator) => {
+        if (input[key] === undefined) {
+            if (!partial) errors.push({ code: 'missing_field', params: { field: key } });
+            return;
+        }
+        validator(input[key]);
+    };
+
+    check('prefix', value => {
+        if (typeof value !== 'string' || value.length < 1 || value.length > 5 || /\s/.test(value)) {
+            errors.push({ code: 'prefix_format', params: { min: 1, max: 5 } });
+        }
+    });
+
+    check('language', value => {
+        if (!LANGUAGES.includes(value)) {
+            errors.push({ code: 'one_of', params: { field: 'language', values: LANGUAGES.join(', ') } });
+        }
+    });
+
+    check('logChannelId', value => {
+        if (value !== null && (typeof value !== 'string' || !SNOWFLAKE_REGEX.test(value))) {
+            errors.push({ code: 'snowflake_or_null', params: { field: 'logChannelId' } });
+        }
+    });
+
+    check('modules', value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push({ code: 'object', params: { field: 'modules' } });
+            return;
+        }
+        Object.keys(value).forEach(name => {
+            if (!MODULES.includes(name)) {
+                errors.push({ code: 'unknown_module', params: { name } });
+            } else if (typeof value[name] !== 'boolean') {
+                errors.push({ code: 'boolean', params: { field: `modules.${name}` } });
+            }
+        });
+        if (!partial) {
+            MODULES.forEach(name => {
+                if (value[name] === undefined) errors.push({ code: 'missing_module', params: { name } });
+            });
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+// Obtener la configuración de un servidor (con valores por defecto)
+function getGuildConfig(guildId) {
+    const record = store.get(guildId);
+    if (!record) {
+        return {
+            config: JSON.parse(JSON.stringify(DEFAULT_CONFIG)),
+            updatedAt: null,
+            updatedBy: null
+        };
+    }
+    return record;
+}
+
+// Idioma elegido para el servidor, o null si nunca se ha configurado
+function getConfiguredLanguage(guildId) {
+    return store.get(guildId)?.config.language || null;
+}
+
+// Reemplazar la configuración completa (PUT). Cada cambio guarda una copia.
+function setGuildConfig(guildId, config, userId, source = 'update') {
+    const record = {
+        config: {
+            prefix: config.prefix,
+            language: config.language,
+            logChannelId: config.logChannelId,
+            modules: { ...config.modules }
+        },
+        updatedAt: new Date().toISOString(),
+        updatedBy: userId
+    };
+    store.set(guildId, record);
+    backups.recordSnapshot(guildId, record, source);
+    return record;
+}
+
+// Actualizar solo los campos enviados (PATCH)
+function updateGuildConfig(guildId, patch, userId) {
+    const current = getGuildConfig(guildId).config;
+    const merged = {
+        ...current,
+        ...patch,
+        modules: { ...current.modules, ...(patch.modules || {}) }
+    };
+    return setGuildConfig(guildId, merged, userId);
+}
+
+module.exports = {
+    LANGUAGES,
+    MODULES,
+    DEFAULT_CONFIG,
+    validateConfig,
+    getGuildConfig,
+    getConfiguredLanguage,
+    setGuildConfig,
+    updateGuildConfig
+};
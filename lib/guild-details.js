@@ -0,0 +1,125 @@
+const { botRequest } = require('./discord-bot');
+const members = require('./members');
+
+// Permisos que necesita el bot y la función que deja de ir sin cada uno
+const BOT_PERMISSIONS = {
+    KICK_MEMBERS: { bit: 1n << 1n, label: 'Expulsar miembros', feature: 'moderation' },
+    BAN_MEMBERS: { bit: 1n << 2n, label: 'Banear miembros', feature: 'moderation' },
+    VIEW_AUDIT_LOG: { bit: 1n << 7n, label: 'Ver el registro de auditoría', feature: 'logs' },
+    VIEW_CHANNEL: { bit: 1n << 10n, label: 'Ver canales', feature: 'general' },
+    SEND_MESSAGES: { bit: 1n << 11n, label: 'Enviar mensajes', feature: 'general' },
+    MANAGE_MESSAGES: { bit: 1n << 13n, label: 'Gestionar mensajes', feature: 'moderation' },
+    EMBED_LINKS: { bit: 1n << 14n, label: 'Insertar enlaces', feature: 'general' },
+    MANAGE_ROLES: { bit: 1n << 28n, label: 'Gestionar roles', feature: 'members' },
+    MODERATE_MEMBERS: { bit: 1n << 40n, label: 'Aislar temporalmente a miembros', feature: 'moderation' }
+};
+
+const ADMINISTRATOR = 1n << 3n;
+
+// Tipos de canal de Discord
+const CATEGORY_TYPE = 4;
+const CHANNEL_TYPES = {
+    0: 'text',
+    2: 'voice',
+    5: 'announcement',
+    13: 'stage',
+    15: 'forum',
+    16: 'media'
+};
+
+// Permisos del bot a nivel de servidor: @everyone más sus roles.
+// No tiene en cuenta los permisos sobrescritos en cada canal.
+function computeBotPermissions(guildId, roles, botMember) {
+    return roles
+        .filter(role => role.id === guildId || botMember.roles.includes(role.id))
+        .reduce((total, role) => total | BigInt(role.permissions), 0n);
+}
+
+function describeBotPermissions(permissions) {
+    const administrator = (permissions & ADMINISTRATOR) === ADMINISTRATOR;
+    const granted = [];
+    const missing = [];
+
+    Object.entries(BOT_PERMISSIONS).forEach(([name, { bit, label, feature }]) => {
+        if (administrator || (permissions & bit) === bit) {
+            granted.push(name);
+        } else {
+            missing.push({ permission: name, label, feature });
+        }
+    });
+
+    return { administrator, granted, missing };
+}
+
+// Canales agrupados por categoría; los que no tienen categoría van primero
+function groupChannels(channels) {
+    const byPosition = (a, b) => a.position - b.position;
+    const serialize = channel => ({
+        id: channel.id,
+        name: channel.name,
+        type: CHANNEL_TYPES[channel.type] || 'other',
+        position: channel.position
+    });
+
+    const categories = channels.filter(c => c.type === CATEGORY_TYPE).sort(byPosition);
+    const children = channels.filter(c => c.type !== CATEGORY_TYPE).sort(byPosition);
+
+    const groups = [{
+        category: null,
+        channels: children.filter(c => !c.parent_id).map(serialize)
+    }];
+
+    categories.forEach(category => {
+        groups.push({
+            category: { id: category.id, name: category.name },
+            channels: children.filter(c => c.parent_id === category.id).map(serialize)
+        });
+    });
+
+    return groups.filter(group => group.category || group.channels.length > 0);
+}
+
+// Datos en vivo de un servidor pedidos con el token del bot
+async function getGuildDetails(guildId) {
+    const [guild, channels, botId] = await Promise.all([
+        botRequest('get', `/guilds/${guildId}`, { params: { with_counts: true } }),
+        botRequest('get', `/guilds/${guildId}/channels`),
+        members.getBotUserId()
+    ]);
+    const botMember = await members.getMember(guildId, botId);
+
+    const roles = guild.roles.slice().sort((a, b) => b.position - a.position);
+    const botPermissions = computeBotPermissions(guildId, roles, botMember);
+
+    return {
+        id: guild.id,
+        name: guild.name,
+        description: guild.description || null,
+        icon_url: guild.icon
+            ? `https://cdn.discordapp.com/icons/${guild.id}/${guild.icon}.png?size=256`
+            : null,
+        owner_id: guild.owner_id,
+        member_count: guild.approximate_member_count ?? null,
+        online_count: guild.approximate_presence_count ?? null,
+        premium_tier: guild.premium_tier,
+        premium_subscription_count: guild.premium_subscription_count || 0,
+        channel_count: channels.filter(c => c.type !== CATEGORY_TYPE).length,
+        channels: groupChannels(channels),
+        roles: roles
+            .filter(role => role.id !== guildId)
+            .map(role => ({
+                id: role.id,
+                name: role.name,
+                color: role.color,
+                position: role.position,
+                managed: role.managed
+            })),
+        bot: describeBotPermissions(botPermissions),
+        fetched_at: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    BOT_PERMISSIONS,
+    getGuildDetails
+};
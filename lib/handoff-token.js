@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+// Los tokens de traspaso solo sirven durante unos segundos
+const HANDOFF_TTL = 60 * 1000;
+
+// IDs de tokens ya canjeados (jti -> caducidad). Solo en memoria: tras reiniciar,
+// un token de menos de un minuto se podría presentar otra vez, pero canjearlo
+// exige además el nonce, que nunca sale de la sesión del dashboard que lo pidió.
+const usedTokens = new Map();
+
+class HandoffError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'HandoffError';
+        this.code = code;
+    }
+}
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Nonce que el dashboard guarda en su sesión antes de pedir el token. Por las
+// URLs solo viaja su hash, que va firmado dentro del token: así el token solo se
+// puede canjear en el navegador que empezó el login.
+function createHandoffNonce() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashHandoffNonce(nonce) {
+    return crypto.createHash('sha256').update(nonce).digest('base64url');
+}
+
+function isNonceHash(value) {
+    return typeof value === 'string' && /^[\w-]{43}$/.test(value);
+}
+
+// Crear un token firmado para el usuario: base64url(payload).firma
+function createHandoffToken(userId, secret, nonceHash) {
+    const payload = {
+        sub: userId,
+        jti: crypto.randomBytes(16).toString('hex'),
+        exp: Date.now() + HANDOFF_TTL,
+        nonce: nonceHash
+    };
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${data}.${sign(data, secret)}`;
+}
+
+function pruneUsedTokens() {
+    const now = Date.now();
+    usedTokens.forEach((exp, jti) => {
+        if (exp <= now) usedTokens.delete(jti);
+    });
+}
+
+// Verificar firma, caducidad y que nonce sea el del token. Con consume = true el
+// token queda marcado como usado y no se puede volver a canjear.
+function verifyHandoffToken(token, secret, { consume = false, nonce } = {}) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+        throw new HandoffError('handoff_invalid', 'Token de traspaso mal formado');
+    }
+
+    const [data, signature] = token.split('.');
+    const expected = sign(data, secret);
+    const valid = signature
+        && signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!valid) {
+        throw new HandoffError('handoff_invalid', 'Firma del token de traspaso inválida');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new HandoffError('handoff_invalid', 'Token de traspaso mal formado');
+    }
+
+    if (!payload.exp || payload.exp <= Date.now()) {
+        throw new HandoffError('handoff_expired', 'El token de traspaso ha caducado');
+    }
+
+    pruneUsedTokens();
+    if (usedTokens.has(payload.jti)) {
+        throw new HandoffError('handoff_replayed', 'El token de traspaso ya fue usado');
+    }
+
+    if (typeof nonce !== 'string' || hashHandoffNonce(nonce) !== payload.nonce) {
+        throw new HandoffError('handoff_mismatch', 'El token de traspaso es de otro navegador');
+    }
+
+    if (consume) {
+        usedTokens.set(payload.jti, payload.exp);
+    }
+
+    return payload;
+}
+
+module.exports = {
+    HANDOFF_TTL,
+    HandoffError,
+    createHandoffNonce,
+    hashHandoffNonce,
+    isNonceHash,
+    createHandoffToken,
+    verifyHandoffToken
+};
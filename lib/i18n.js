@@ -0,0 +1,106 @@
+// Catálogos de mensajes (locales/<idioma>.json), compartidos con las páginas estáticas
+const catalogs = {
+    es: require('../locales/es.json'),
+    en: require('../locales/en.json')
+};
+
+const LOCALES = Object.keys(catalogs);
+const DEFAULT_LOCALE = 'es';
+
+function findMessage(locale, key) {
+    const message = key.split('.').reduce((node, part) => node?.[part], catalogs[locale]);
+    return typeof message === 'string' ? message : null;
+}
+
+// Mensaje traducido con los {parámetros} sustituidos. Si falta en un idioma se usa el
+// español y, si tampoco existe, la propia clave (así se ve enseguida qué falta).
+function t(locale, key, params = {}) {
+    const message = findMessage(locale, key) ?? findMessage(DEFAULT_LOCALE, key) ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match).toString());
+}
+
+// Parte del catálogo que necesita el navegador (p. ej. ['dashboard', 'errors'])
+function getMessages(locale, namespaces) {
+    const catalog = catalogs[locale] || catalogs[DEFAULT_LOCALE];
+    return Object.fromEntries(namespaces.map(namespace => [namespace, catalog[namespace] || {}]));
+}
+
+// "en-US" -> "en"; null si no es un idioma soportado
+function normalizeLocale(value) {
+    if (typeof value !== 'string') return null;
+    const language = value.trim().toLowerCase().split(/[-_]/)[0];
+    return LOCALES.includes(language) ? language : null;
+}
+
+// Primer idioma soportado de Accept-Language según su peso (q)
+function negotiateLocale(header) {
+    if (typeof header !== 'string') return null;
+
+    const ranked = header.split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+            return { locale: normalizeLocale(tag), q: q ? Number(q.slice(2)) : 1, index };
+        })
+        .filter(entry => entry.locale && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    return ranked[0]?.locale || null;
+}
+
+// Preferencia del usuario, idioma del servidor y, por último, el navegador
+function resolveLocale({ userLocale, guildLocale, acceptLanguage } = {}) {
+    return normalizeLocale(userLocale)
+        || normalizeLocale(guildLocale)
+        || negotiateLocale(acceptLanguage)
+        || DEFAULT_LOCALE;
+}
+
+// req.locale y req.t(clave, parámetros) para las rutas. El idioma se calcula al usarlo
+// porque req.params (el servidor de la ruta) solo existe ya dentro de cada ruta.
+// getUserLocale(req) y getGuildLocale(req, guildId) devuelven el idioma o null.
+function createI18nMiddleware({ getUserLocale, getGuildLocale }) {
+    return (req, res, next) => {
+        Object.defineProperty(req, 'locale', {
+            configurable: true,
+            get: () => resolveLocale({
+                userLocale: getUserLocale(req),
+                guildLocale: req.params?.guildId ? getGuildLocale(req, req.params.guildId) : null,
+                acceptLanguage: req.get('Accept-Language')
+            })
+        });
+        req.t = (key, params) => t(req.locale, key, params);
+
+        res.vary('Accept-Language');
+        next();
+    };
+}
+
+// Cuerpo de error de la API: code estable para los clientes y mensaje en su idioma
+function apiError(req, code, extra = {}, params = {}) {
+    return {
+        success: false,
+        code,
+        error: req.t(`errors.${code}`, params),
+        ...extra
+    };
+}
+
+// Errores de validación de lib/ ({ code, params } de validation.*) en el idioma de
+// la petición, para el campo details de las respuestas 400
+function translateErrors(req, errors) {
+    return errors.map(({ code, params }) => req.t(`validation.${code}`, params));
+}
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    t,
+    getMessages,
+    normalizeLocale,
+    negotiateLocale,
+    resolveLocale,
+    createI18nMiddleware,
+    apiError,
+    translateErrors
+};
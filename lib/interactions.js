@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const { botRequest } = require('./discord-bot');
+const { t, resolveLocale } = require('./i18n');
+const logger = require('./logger').logger.child({ module: 'interactions' });
+
+// Tipos de interacción que envía Discord
+const INTERACTION_TYPES = {
+    PING: 1,
+    APPLICATION_COMMAND: 2,
+    MESSAGE_COMPONENT: 3,
+    APPLICATION_COMMAND_AUTOCOMPLETE: 4,
+    MODAL_SUBMIT: 5
+};
+
+// Tipos de respuesta inicial
+const RESPONSE_TYPES = {
+    PONG: 1,
+    CHANNEL_MESSAGE_WITH_SOURCE: 4,
+    DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE: 5,
+    DEFERRED_UPDATE_MESSAGE: 6,
+    UPDATE_MESSAGE: 7,
+    APPLICATION_COMMAND_AUTOCOMPLETE_RESULT: 8,
+    MODAL: 9
+};
+
+// Mensaje visible solo para quien usó la interacción
+const EPHEMERAL = 1 << 6;
+
+// Discord da 3 segundos para la respuesta inicial: pasado este margen se difiere sola
+const AUTO_DEFER_AFTER = 2500;
+
+// Firmas con una marca de tiempo más antigua se rechazan (reenvíos)
+const MAX_TIMESTAMP_AGE = 5 * 60;
+
+// Cabecera DER de una clave pública Ed25519 (SPKI) para la clave en hex de Discord
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const PUBLIC_KEY_REGEX = /^[0-9a-f]{64}$/i;
+
+// Manejadores registrados: comandos por nombre, componentes y modales por prefijo de custom_id
+const handlers = {
+    command: new Map(),
+    component: new Map(),
+    modal: new Map()
+};
+
+// Definiciones de los comandos registrados, tal como se suben a Discord
+const definitions = new Map();
+
+// Comprobaciones previas a los comandos: guard(interaction) devuelve el motivo del rechazo
+// (ya traducido con getInteractionLocale) o null
+const guards = [];
+
+const publicKeys = new Map();
+
+function getPublicKey(hex) {
+    if (!publicKeys.has(hex)) {
+        publicKeys.set(hex, crypto.createPublicKey({
+            key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(hex, 'hex')]),
+            format: 'der',
+            type: 'spki'
+        }));
+    }
+    return publicKeys.get(hex);
+}
+
+function isValidPublicKey(hex) {
+    return typeof hex === 'string' && PUBLIC_KEY_REGEX.test(hex);
+}
+
+// Comprobar X-Signature-Ed25519 sobre timestamp + cuerpo sin parsear
+function verifyInteractionSignature({ body, signature, timestamp, publicKey, now = Date.now() }) {
+    if (!Buffer.isBuffer(body) || typeof signature !== 'string' || typeof timestamp !== 'string') {
+        return false;
+    }
+    if (!/^[0-9a-f]{128}$/i.test(signature) || !/^\d+$/.test(timestamp)) {
+        return false;
+    }
+    if (Math.abs(now / 1000 - Number(timestamp)) > MAX_TIMESTAMP_AGE) {
+        return false;
+    }
+
+    try {
+        return crypto.verify(
+            null,
+            Buffer.concat([Buffer.from(timestamp), body]),
+            getPublicKey(publicKey),
+            Buffer.from(signature, 'hex')
+        );
+    } catch (error) {
+        return false;
+    }
+}
+
+function register(kind, key, handler) {
+    if (typeof handler !== 'function') {
+        throw new TypeError(`El manejador de ${key} debe ser una función`);
+    }
+    handlers[kind].set(key, handler);
+}
+
+// definition es el comando para Discord ({ name, description, options... }).
+// handler(interaction, ctx) devuelve un mensaje ({ content, embeds... }),
+// una respuesta completa ({ type, data }) o nada si ya respondió con ctx.
+function registerCommand(definition, handler) {
+    register('command', definition.name, handler);
+    definitions.set(definition.name, definition);
+}
+
+function getCommandDefinitions() {
+    return [...definitions.values()];
+}
+
+// custom_id con forma "prefijo:datos"; se registra solo el prefijo
+function registerComponent(prefix, handler) {
+    register('component', prefix, handler);
+}
+
+function registerModal(prefix, handler) {
+    register('modal', prefix, handler);
+}
+
+function registerGuard(guard) {
+    guards.push(guard);
+}
+
+// Idioma de quien usa la interacción y, si no está soportado, el del servidor
+function getInteractionLocale(interaction) {
+    return resolveLocale({
+        userLocale: interaction.locale,
+        guildLocale: interaction.guild_locale
+    });
+}
+
+function findHandler(interaction) {
+    const data = interaction.data || {};
+
+    switch (interaction.type) {
+        case INTERACTION_TYPES.APPLICATION_COMMAND:
+            return handlers.command.get(data.name);
+        case INTERACTION_TYPES.MESSAGE_COMPONENT:
+            return handlers.component.get(String(data.custom_id || '').split(':')[0]);
+        case INTERACTION_TYPES.MODAL_SUBMIT:
+            return handlers.modal.get(String(data.custom_id || '').split(':')[0]);
+        default:
+            return null;
+    }
+}
+
+function toResponse(result) {
+    if (result && typeof result.type === 'number') return result;
+    return { type: RESPONSE_TYPES.CHANNEL_MESSAGE_WITH_SOURCE, data: result };
+}
+
+function ephemeralMessage(content) {
+    return {
+        type: RESPONSE_TYPES.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content, flags: EPHEMERAL }
+    };
+}
+
+// Utilidades para el manejador: diferir y mensajes de seguimiento por webhook
+function createContext(interaction, respond) {
+    const webhookPath = `/webhooks/${interaction.application_id}/${interaction.token}`;
+
+    const ctx = {
+        deferred: false,
+
+        // Responder ya "pensando..." y contestar después con editOriginal o followUp.
+        // En componentes, update = true mantiene el mensaje original sin cambios.
+        defer({ ephemeral = false, update = interaction.type === INTERACTION_TYPES.MESSAGE_COMPONENT } = {}) {
+            const sent = respond(update
+                ? { type: RESPONSE_TYPES.DEFERRED_UPDATE_MESSAGE }
+                : {
+                    type: RESPONSE_TYPES.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+                    ...(ephemeral && { data: { flags: EPHEMERAL } })
+                });
+            if (sent) ctx.deferred = true;
+            return sent;
+        },
+
+        editOriginal(message) {
+            return botRequest('patch', `${webhookPath}/messages/@original`, { data: message });
+        },
+
+        deleteOriginal() {
+            return botRequest('delete', `${webhookPath}/messages/@original`);
+        },
+
+        followUp(message) {
+            return botRequest('post', webhookPath, { data: message, params: { wait: true } });
+        }
+    };
+
+    return ctx;
+}
+
+// Resolver la respuesta inicial de una interacción ya verificada.
+// El manejador puede seguir trabajando después de diferir.
+function handleInteraction(interaction) {
+    const locale = getInteractionLocale(interaction);
+
+    if (interaction.type === INTERACTION_TYPES.PING) {
+        return Promise.resolve({ type: RESPONSE_TYPES.PONG });
+    }
+
+    if (interaction.type === INTERACTION_TYPES.APPLICATION_COMMAND_AUTOCOMPLETE) {
+        return Promise.resolve({
+            type: RESPONSE_TYPES.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+            data: { choices: [] }
+        });
+    }
+
+    if (interaction.type === INTERACTION_TYPES.APPLICATION_COMMAND) {
+        const rejection = guards.map(guard => guard(interaction)).find(Boolean);
+        if (rejection) {
+            return Promise.resolve(ephemeralMessage(rejection));
+        }
+    }
+
+    const handler = findHandler(interaction);
+    if (!handler) {
+        logger.warn('Interacción sin manejador', {
+            type: interaction.type,
+            name: interaction.data?.name || interaction.data?.custom_id
+        });
+        return Promise.resolve(ephemeralMessage(t(locale, 'interactions.unavailable')));
+    }
+
+    return new Promise(resolve => {
+        let responded = false;
+        const respond = (response) => {
+            if (responded) return false;
+            responded = true;
+            resolve(response);
+            return true;
+        };
+
+        const ctx = createContext(interaction, respond);
+        const deferTimer = setTimeout(() => ctx.defer(), AUTO_DEFER_AFTER);
+
+        Promise.resolve()
+            .then(() => handler(interaction, ctx))
+            .then(async result => {
+                clearTimeout(deferTimer);
+                if (result === undefined) {
+                    respond(ephemeralMessage(t(locale, 'interactions.done')));
+                    return;
+                }
+
+                const response = toResponse(result);
+                // Ya se respondió diferido: el resultado sustituye al "pensando..."
+                if (!respond(response) && ctx.deferred && response.data) {
+                    await ctx.editOriginal(response.data);
+                }
+            })
+            .catch(async error => {
+                clearTimeout(deferTimer);
+                logger.error('Error en interacción', {
+                    name: interaction.data?.name || interaction.data?.custom_id,
+                    err: error
+                });
+
+                const message = t(locale, 'interactions.failed');
+                if (!respond(ephemeralMessage(message)) && ctx.deferred) {
+                    await ctx.editOriginal({ content: message }).catch(() => {});
+                }
+            });
+    });
+}
+
+module.exports = {
+    INTERACTION_TYPES,
+    RESPONSE_TYPES,
+    EPHEMERAL,
+    isValidPublicKey,
+    verifyInteractionSignature,
+    registerCommand,
+    getCommandDefinitions,
+    getInteractionLocale,
+    registerComponent,
+    registerModal,
+    registerGuard,
+    handleInteraction
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('./logger').logger.child({ module: 'json-store' });
+
+// Directorio de datos persistentes. Empieza por punto para que
+// express.static('.') no lo sirva nunca.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '.data');
+
+// Retraso para agrupar escrituras seguidas en una sola
+const WRITE_DELAY = 200;
+
+const stores = new Map();
+
+// Almacén clave/valor persistido en un archivo JSON dentro de DATA_DIR
+class JsonStore {
+    constructor(name) {
+        this.name = name;
+        this.file = path.join(DATA_DIR, `${name}.json`);
+        this.data = {};
+        this.timer = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                this.data = JSON.parse(fs.readFileSync(this.file, 'utf8')) || {};
+            }
+        } catch (error) {
+            logger.error('Error leyendo almacén', { store: this.name, err: error });
+            // Guardar copia del archivo corrupto para no perderlo al reescribir
+            try {
+                fs.renameSync(this.file, `${this.file}.corrupt-${Date.now()}`);
+            } catch (renameError) {
+                // Ignorar: el archivo puede haber desaparecido
+            }
+            this.data = {};
+        }
+    }
+
+    get(key) {
+        return this.data[key];
+    }
+
+    has(key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key);
+    }
+
+    set(key, value) {
+        this.data[key] = value;
+        this.scheduleWrite();
+        return value;
+    }
+
+    delete(key) {
+        const existed = this.has(key);
+        delete this.data[key];
+        if (existed) this.scheduleWrite();
+        return existed;
+    }
+
+    keys() {
+        return Object.keys(this.data);
+    }
+
+    entries() {
+        return Object.entries(this.data);
+    }
+
+    scheduleWrite() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, WRITE_DELAY);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    // Escritura atómica: archivo temporal + rename
+    flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        try {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+            const tmpFile = `${this.file}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(this.data));
+            fs.renameSync(tmpFile, this.file);
+        } catch (error) {
+            logger.error('Error guardando almacén', { store: this.name, err: error });
+        }
+    }
+}
+
+// Obtener (o crear) el almacén con ese nombre
+function getStore(name) {
+    if (!stores.has(name)) {
+        stores.set(name, new JsonStore(name));
+    }
+    return stores.get(name);
+}
+
+// Volcar escrituras pendientes antes de salir
+process.on('exit', () => {
+    stores.forEach(store => {
+        if (store.timer) store.flush();
+    });
+});
+
+// Render para el proceso con SIGTERM al redesplegar (y Ctrl+C manda SIGINT), y
+// una señal no emite 'exit': salir a mano para que se vuelque lo pendiente.
+['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.once(signal, () => process.exit(128 + os.constants.signals[signal]));
+});
+
+module.exports = { getStore, DATA_DIR };
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Logs estructurados: una línea JSON por evento con time, level, service, msg,
+// el requestId de la petición en curso y los campos que se pasen. Los secretos
+// (tokens, cookies, cabeceras de autorización...) se ocultan siempre.
+//   logger.info('Partida guardada', { userId, slot })
+//   logger.error('Error al guardar partida', { err: error })
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Cabecera con la que el dashboard y el backend comparten el ID de cada petición
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_REGEX = /^[\w-]{8,64}$/;
+
+const REDACTED = '[REDACTED]';
+
+// Campos que nunca se escriben: accessToken, refreshToken, client_secret, cookie...
+const SENSITIVE_KEY_REGEX = /(token|secret|password|cookie|authorization|signature)$/i;
+
+// Secretos dentro de textos: tokens de bot de Discord, "Bearer ..." y ?token= en URLs
+const SENSITIVE_VALUE_PATTERNS = [
+    [/[\w-]{24,}\.[\w-]{6}\.[\w-]{27,}/g, REDACTED],
+    [/\b(Bearer|Bot|Basic)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`],
+    [/([?&](?:token|code|state|secret)=)[^&\s#]+/gi, `$1${REDACTED}`]
+];
+
+const MAX_DEPTH = 5;
+
+// Contexto de la petición en curso (requestId), disponible en cualquier función que llame
+const requestContext = new AsyncLocalStorage();
+
+const settings = {
+    service: null,
+    level: LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info
+};
+
+// Cada servidor indica su nombre al arrancar
+function configureLogger({ service, level } = {}) {
+    if (service) settings.service = service;
+    if (level && LEVELS[level]) settings.level = LEVELS[level];
+}
+
+function redactString(value) {
+    return SENSITIVE_VALUE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+// Errores (también los de axios) sin el cuerpo de la respuesta, que puede traer tokens
+function serializeError(error) {
+    const result = {
+        name: error.name,
+        message: redactString(String(error.message))
+    };
+    if (error.code !== undefined) result.code = error.code;
+
+    const status = error.status ?? error.response?.status;
+    if (status) result.status = status;
+
+    // Código de error JSON de Discord, si la API lo devolvió
+    const discordCode = error.response?.data?.code;
+    if (discordCode !== undefined) result.discordCode = discordCode;
+
+    if (error.config?.url) {
+        result.request = `${(error.config.method || 'get').toUpperCase()} ${redactString(error.config.url.split('?')[0])}`;
+    }
+    if (error.stack) result.stack = redactString(error.stack);
+    return result;
+}
+
+// Copia del valor lista para escribir, con los secretos ocultos
+function redact(value, depth = 0) {
+    if (value instanceof Error) return serializeError(value);
+    if (typeof value === 'string') return redactString(value);
+    if (typeof value === 'bigint') return value.toString();
+    if (!value || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH) return '[Object]';
+
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const result = {};
+    Object.keys(value).forEach(key => {
+        result[key] = SENSITIVE_KEY_REGEX.test(key) && value[key] ? REDACTED : redact(value[key], depth + 1);
+    });
+    return result;
+}
+
+function getRequestId() {
+    return requestContext.getStore()?.requestId || null;
+}
+
+class Logger {
+    constructor(bindings = {}) {
+        this.bindings = bindings;
+    }
+
+    // Logger con campos fijos (p. ej. { module: 'json-store' })
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings });
+    }
+
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < settings.level) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            service: settings.service || undefined,
+            requestId: getRequestId() || undefined,
+            msg: redactString(String(msg)),
+            ...redact({ ...this.bindings, ...(fields instanceof Error ? { err: fields } : fields) })
+        };
+
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch (error) {
+            // Referencias circulares u objetos raros: mejor el mensaje que nada
+            line = JSON.stringify({ time: entry.time, level, service: entry.service, requestId: entry.requestId, msg: entry.msg });
+        }
+        process.stdout.write(`${line}\n`);
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+}
+
+const logger = new Logger();
+
+// ID de la petición (el que llega en X-Request-Id o uno nuevo), disponible en req.id,
+// en la respuesta y en todos los logs; al terminar se escribe el log de acceso con la
+// duración. getUserId(req) añade el usuario de la sesión. Las rutas de skip se escriben
+// solo en nivel debug (p. ej. /health, que se consulta cada pocos segundos).
+function createRequestLogger({ getUserId = () => null, skip = [] } = {}) {
+    const accessLogger = logger.child({ type: 'access' });
+
+    return (req, res, next) => {
+        const incoming = req.get(REQUEST_ID_HEADER);
+        const requestId = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+        const started = process.hrtime.bigint();
+        let logged = false;
+
+        req.id = requestId;
+        res.setHeader(REQUEST_ID_HEADER, requestId);
+
+        // 'close' sin 'finish': el cliente cortó (p. ej. un flujo SSE que se cierra)
+        const logAccess = () => {
+            if (logged) return;
+            logged = true;
+
+            const status = res.writableFinished ? res.statusCode : 499;
+            const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+            const path = req.originalUrl.split('?')[0];
+
+            requestContext.run({ requestId }, () => {
+                accessLogger.write(skip.includes(path) ? 'debug' : level, `${req.method} ${path} ${status}`, {
+                    method: req.method,
+                    path,
+                    status,
+                    durationMs: Number((process.hrtime.bigint() - started) / 1000n) / 1000,
+                    userId: getUserId(req) || undefined,
+                    ip: req.ip
+                });
+            });
+        };
+        res.on('finish', logAccess);
+        res.on('close', logAccess);
+
+        requestContext.run({ requestId }, next);
+    };
+}
+
+module.exports = {
+    LEVELS,
+    REQUEST_ID_HEADER,
+    logger,
+    configureLogger,
+    redact,
+    serializeError,
+    getRequestId,
+    createRequestLogger
+};
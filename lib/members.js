@@ -0,0 +1,171 @@
+const { botRequest } = require('./discord-bot');
+
+let botUserId = null;
+
+class HierarchyError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'HierarchyError';
+        this.code = code;
+        this.status = 403;
+    }
+}
+
+// ID del usuario del bot (se pide una sola vez)
+async function getBotUserId() {
+    if (!botUserId) {
+        const botUser = await botRequest('get', '/users/@me');
+        botUserId = botUser.id;
+    }
+    return botUserId;
+}
+
+async function getGuildRoles(guildId) {
+    const roles = await botRequest('get', `/guilds/${guildId}/roles`);
+    return roles.sort((a, b) => b.position - a.position);
+}
+
+async function getMember(guildId, userId) {
+    return botRequest('get', `/guilds/${guildId}/members/${userId}`);
+}
+
+// Buscar miembros por nombre, o listar los primeros si no hay búsqueda
+async function searchMembers(guildId, query, limit = 25) {
+    if (query) {
+        return botRequest('get', `/guilds/${guildId}/members/search`, {
+            params: { query, limit }
+        });
+    }
+    return botRequest('get', `/guilds/${guildId}/members`, { params: { limit } });
+}
+
+// Posición del rol más alto de un miembro (0 = solo @everyone)
+function highestPosition(member, roles) {
+    return roles
+        .filter(role => member.roles.includes(role.id))
+        .reduce((max, role) => Math.max(max, role.position), 0);
+}
+
+// Jerarquía del bot y del usuario del dashboard en un servidor
+async function getHierarchy(guildId, userId, isOwner) {
+    const [roles, botId] = await Promise.all([getGuildRoles(guildId), getBotUserId()]);
+    const botMember = await getMember(guildId, botId);
+
+    let userHighest = Infinity;
+    if (!isOwner) {
+        const userMember = await getMember(guildId, userId);
+        userHighest = highestPosition(userMember, roles);
+    }
+
+    return {
+        roles,
+        botHighest: highestPosition(botMember, roles),
+        userHighest
+    };
+}
+
+// Un rol se puede gestionar si está por debajo del bot y del usuario
+function canManageRole(hierarchy, role, guildId) {
+    if (role.id === guildId || role.managed) return false;
+    return role.position < hierarchy.botHighest && role.position < hierarchy.userHighest;
+}
+
+// Datos de un rol para el dashboard
+function serializeRole(role, hierarchy, guildId) {
+    return {
+        id: role.id,
+        name: role.name,
+        color: role.color,
+        position: role.position,
+        managed: role.managed,
+        assignable: canManageRole(hierarchy, role, guildId)
+    };
+}
+
+// Datos de un miembro para el dashboard
+function serializeMember(member) {
+    const user = member.user || {};
+    return {
+        id: user.id,
+        username: user.username,
+        globalName: user.global_name || null,
+        nick: member.nick || null,
+        avatar_url: user.avatar
+            ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png?size=64`
+            : `https://cdn.discordapp.com/embed/avatars/${(BigInt(user.id || 0) >> 22n) % 6n}.png`,
+        roles: member.roles,
+        joinedAt: member.joined_at
+    };
+}
+
+// Añadir o quitar un rol respetando la jerarquía
+async function setMemberRole(guildId, targetId, roleId, { add, actor, isOwner }) {
+    const hierarchy = await getHierarchy(guildId, actor.id, isOwner);
+    const role = hierarchy.roles.find(r => r.id === roleId);
+
+    if (!role) {
+        const error = new Error('Rol no encontrado');
+        error.status = 404;
+        error.code = 'role_not_found';
+        throw error;
+    }
+
+    if (!canManageRole(hierarchy, role, guildId)) {
+        if (role.position >= hierarchy.botHighest) {
+            throw new HierarchyError('role_above_bot', 'El rol está por encima del rol más alto del bot');
+        }
+        if (role.position >= hierarchy.userHighest) {
+            throw new HierarchyError('role_above_user', 'El rol está por encima de tu rol más alto');
+        }
+        throw new HierarchyError('role_not_assignable', 'Este rol no se puede asignar manualmente');
+    }
+
+    await botRequest(add ? 'put' : 'delete', `/guilds/${guildId}/members/${targetId}/roles/${roleId}`, {
+        reason: `Dashboard: ${actor.username}`
+    });
+
+    return role;
+}
+
+// Comprobar que el usuario del dashboard puede sancionar a un miembro: nunca al
+// propietario ni a quien tenga un rol igual o superior al suyo (o al del bot).
+// Un usuario que ya no está en el servidor no tiene roles y se puede banear.
+async function checkModerationTarget(guildId, targetId, actor) {
+    const guild = await botRequest('get', `/guilds/${guildId}`);
+    if (targetId === guild.owner_id) {
+        throw new HierarchyError('target_is_owner', 'No se puede sancionar al propietario del servidor');
+    }
+
+    const hierarchy = await getHierarchy(guildId, actor.id, actor.id === guild.owner_id);
+
+    let target;
+    try {
+        target = await getMember(guildId, targetId);
+    } catch (error) {
+        // 10007 = Unknown Member
+        if (error.code === 10007) return;
+        throw error;
+    }
+
+    const targetHighest = highestPosition(target, hierarchy.roles);
+    if (targetHighest >= hierarchy.userHighest) {
+        throw new HierarchyError('target_above_user', 'El miembro tiene un rol igual o superior al tuyo');
+    }
+    if (targetHighest >= hierarchy.botHighest) {
+        throw new HierarchyError('target_above_bot', 'El miembro tiene un rol igual o superior al del bot');
+    }
+}
+
+module.exports = {
+    HierarchyError,
+    getBotUserId,
+    getGuildRoles,
+    getMember,
+    searchMembers,
+    getHierarchy,
+    canManageRole,
+    serializeRole,
+    serializeMember,
+    setMemberRole,
+    checkModerationTarget
+};
@@ -0,0 +1,228 @@
+const { getStore } = require('./json-store');
+const { botRequest } = require('./discord-bot');
+const members = require('./members');
+const logger = require('./logger').logger.child({ module: 'moderation' });
+
+const store = getStore('moderation-cases');
+
+const CASE_TYPES = ['warn', 'mute', 'kick', 'ban'];
+
+// Discord no permite aislar a un miembro más de 28 días
+const MAX_MUTE_DURATION = 28 * 24 * 60 * 60;
+
+// Cada cuánto se revisan los baneos temporales caducados
+const EXPIRY_CHECK_INTERVAL = 60 * 1000;
+
+const SNOWFLAKE_REGEX = /^\d{17,20}$/;
+
+function getGuildRecord(guildId) {
+    return store.get(guildId) || { nextCase: 1, cases: [] };
+}
+
+// Validar una nueva sanción (errores { code, params } de validation.*)
+function validateCase(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object') {
+        return { valid: false, errors: [{ code: 'body_object' }] };
+    }
+
+    if (!CASE_TYPES.includes(input.type)) {
+        errors.push({ code: 'one_of', params: { field: 'type', values: CASE_TYPES.join(', ') } });
+    }
+
+    if (typeof input.targetId !== 'string' || !SNOWFLAKE_REGEX.test(input.targetId)) {
+        errors.push({ code: 'snowflake', params: { field: 'targetId' } });
+    }
+
+    if (input.reason !== undefined && (typeof input.reason !== 'string' || input.reason.length > 512)) {
+        errors.push({ code: 'text_max', params: { field: 'reason', max: 512 } });
+    }
+
+    if (input.duration !== undefined && input.duration !== null) {
+        if (!Number.isInteger(input.duration) || input.duration <= 0) {
+            errors.push({ code: 'duration_seconds' });
+        } else if (!['mute', 'ban'].includes(input.type)) {
+            errors.push({ code: 'duration_type', params: { types: 'mute, ban' } });
+        } else if (input.type === 'mute' && input.duration > MAX_MUTE_DURATION) {
+            errors.push({ code: 'mute_too_long', params: { days: MAX_MUTE_DURATION / 86400 } });
+        }
+    }
+
+    if (input.type === 'mute' && !input.duration) {
+        errors.push({ code: 'mute_duration_required' });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+// Aplicar la sanción en Discord con el token del bot
+async function applyAction(guildId, { type, targetId, reason, expiresAt }) {
+    const memberPath = `/guilds/${guildId}/members/${targetId}`;
+
+    switch (type) {
+        case 'mute':
+            await botRequest('patch', memberPath, {
+                data: { communication_disabled_until: expiresAt },
+                reason
+            });
+            break;
+        case 'kick':
+            await botRequest('delete', memberPath, { reason });
+            break;
+        case 'ban':
+            await botRequest('put', `/guilds/${guildId}/bans/${targetId}`, {
+                data: { delete_message_seconds: 0 },
+                reason
+            });
+            break;
+        default:
+            // Los avisos solo quedan registrados
+            break;
+    }
+}
+
+// Deshacer la sanción en Discord (si sigue activa)
+async function revertAction(guildId, modCase, reason) {
+    if (modCase.type === 'mute' && modCase.expiresAt && new Date(modCase.expiresAt) > new Date()) {
+        await botRequest('patch', `/guilds/${guildId}/members/${modCase.targetId}`, {
+            data: { communication_disabled_until: null },
+            reason
+        });
+    } else if (modCase.type === 'ban' && !modCase.expired) {
+        try {
+            await botRequest('delete', `/guilds/${guildId}/bans/${modCase.targetId}`, { reason });
+        } catch (error) {
+            // Si ya no estaba baneado no hay nada que deshacer
+            if (error.status !== 404) throw error;
+        }
+    }
+}
+
+// Crear una sanción: primero se aplica en Discord y luego se registra.
+// Lanza members.HierarchyError si el moderador no puede sancionar a ese miembro.
+async function createCase(guildId, input, moderator) {
+    await members.checkModerationTarget(guildId, input.targetId, moderator);
+
+    const now = new Date();
+    const expiresAt = input.duration
+        ? new Date(now.getTime() + input.duration * 1000).toISOString()
+        : null;
+    const reason = input.reason || null;
+
+    await applyAction(guildId, { ...input, reason, expiresAt });
+
+    const record = getGuildRecord(guildId);
+    const modCase = {
+        caseNumber: record.nextCase,
+        type: input.type,
+        targetId: input.targetId,
+        moderatorId: moderator.id,
+        moderatorName: moderator.username,
+        reason,
+        duration: input.duration || null,
+        expiresAt,
+        expired: false,
+        pardoned: false,
+        pardonedAt: null,
+        pardonedBy: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+
+    record.cases.push(modCase);
+    record.nextCase++;
+    store.set(guildId, record);
+    return modCase;
+}
+
+// Listar sanciones (más recientes primero) con filtros opcionales
+function listCases(guildId, { userId, type, q, limit = 50 } = {}) {
+    const search = q ? String(q).toLowerCase() : null;
+    const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    return getGuildRecord(guildId).cases
+        .filter(c => !userId || c.targetId === userId)
+        .filter(c => !type || c.type === type)
+        .filter(c => !search || (c.reason || '').toLowerCase().includes(search))
+        .slice()
+        .reverse()
+        .slice(0, max);
+}
+
+function getCase(guildId, caseNumber) {
+    return getGuildRecord(guildId).cases.find(c => c.caseNumber === caseNumber) || null;
+}
+
+// Editar el motivo de una sanción
+function updateCaseReason(guildId, caseNumber, reason) {
+    const record = getGuildRecord(guildId);
+    const modCase = record.cases.find(c => c.caseNumber === caseNumber);
+    if (!modCase) return null;
+
+    modCase.reason = reason;
+    modCase.updatedAt = new Date().toISOString();
+    store.set(guildId, record);
+    return modCase;
+}
+
+// Perdonar una sanción: se deshace en Discord y queda marcada
+async function pardonCase(guildId, caseNumber, moderator) {
+    const record = getGuildRecord(guildId);
+    const modCase = record.cases.find(c => c.caseNumber === caseNumber);
+    if (!modCase) return null;
+    if (modCase.pardoned) return modCase;
+
+    await revertAction(guildId, modCase, `Perdón del caso #${caseNumber}`);
+
+    modCase.pardoned = true;
+    modCase.pardonedAt = new Date().toISOString();
+    modCase.pardonedBy = moderator.id;
+    modCase.updatedAt = modCase.pardonedAt;
+    store.set(guildId, record);
+    return modCase;
+}
+
+// Levantar los baneos temporales que ya han caducado
+async function expireCases() {
+    const now = new Date();
+
+    for (const guildId of store.keys()) {
+        const record = getGuildRecord(guildId);
+        let changed = false;
+
+        for (const modCase of record.cases) {
+            if (modCase.expired || modCase.pardoned || !modCase.expiresAt) continue;
+            if (new Date(modCase.expiresAt) > now) continue;
+
+            try {
+                if (modCase.type === 'ban') {
+                    await revertAction(guildId, modCase, `Fin del baneo temporal #${modCase.caseNumber}`);
+                }
+                modCase.expired = true;
+                modCase.updatedAt = now.toISOString();
+                changed = true;
+            } catch (error) {
+                logger.error('Error levantando sanción caducada', { guildId, caseNumber: modCase.caseNumber, err: error });
+            }
+        }
+
+        if (changed) store.set(guildId, record);
+    }
+}
+
+const expiryTimer = setInterval(() => {
+    expireCases().catch(error => logger.error('Error revisando sanciones caducadas', { err: error }));
+}, EXPIRY_CHECK_INTERVAL);
+if (expiryTimer.unref) expiryTimer.unref();
+
+module.exports = {
+    CASE_TYPES,
+    validateCase,
+    createCase,
+    listCases,
+    getCase,
+    updateCaseReason,
+    pardonCase,
+    expireCases
+};
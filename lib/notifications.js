@@ -0,0 +1,371 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { getStore } = require('./json-store');
+const { EVENT_TYPES, onEvent } = require('./events');
+const logger = require('./logger').logger.child({ module: 'notifications' });
+
+const subscriptionsStore = getStore('notification-subscriptions');
+const deliveriesStore = getStore('notification-deliveries');
+
+// Reintentos: 5s, 20s, 80s y 320s después del primer intento
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 5000;
+
+// Entregas que se conservan en el registro de cada servidor
+const MAX_LOG_ENTRIES = 100;
+
+const MAX_SUBSCRIPTIONS = 10;
+
+const DISCORD_WEBHOOK_REGEX = /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+
+// Direcciones a las que nunca se entrega una notificación: redes privadas, loopback,
+// enlace local, CGNAT (100.64.0.0/10), multicast y reservadas. BlockList compara las
+// IPv4 mapeadas en IPv6 (::ffff:a.b.c.d) con los rangos IPv4; NAT64 se bloquea entero.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Nombres que siempre son locales
+const LOCAL_HOSTNAME_REGEX = /(^|\.)localhost\.?$/i;
+
+// Colores de los embeds de Discord por evento
+const EVENT_COLORS = {
+    'guild.bot_joined': 0x00E5A0,
+    'guild.bot_left': 0xFF5252,
+    'config.changed': 0x5A67D8,
+    'moderation.case_created': 0xFFB74D,
+    'telemetry.heartbeat_missed': 0xFF5252
+};
+
+const EVENT_TITLES = {
+    'guild.bot_joined': 'Cofonita se ha unido al servidor',
+    'guild.bot_left': 'Cofonita ha salido del servidor',
+    'config.changed': 'Configuración actualizada',
+    'moderation.case_created': 'Nueva sanción registrada',
+    'telemetry.heartbeat_missed': 'El bot no responde'
+};
+
+function isBlockedAddress(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// Comprobación rápida al guardar la URL: IPs literales y localhost
+function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    return net.isIP(host) ? isBlockedAddress(host) : LOCAL_HOSTNAME_REGEX.test(host);
+}
+
+// Resolver el host del destino justo antes de entregar y rechazarlo si alguna de sus
+// direcciones es privada. El agente devuelto conecta siempre a la IP comprobada, así
+// que un cambio de DNS entre la comprobación y la conexión no lleva a otra red.
+async function createPinnedAgent(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname, family: net.isIP(hostname) }]
+        : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+    if (addresses.length === 0 || LOCAL_HOSTNAME_REGEX.test(hostname) || addresses.some(({ address }) => isBlockedAddress(address))) {
+        const error = new Error(`Destino en una red privada: ${hostname}`);
+        error.code = 'unsafe_destination';
+        throw error;
+    }
+
+    const { address, family } = addresses[0];
+    return new https.Agent({
+        lookup: (host, options, callback) => (options.all
+            ? callback(null, [{ address, family }])
+            : callback(null, address, family))
+    });
+}
+
+function getSubscriptions(guildId) {
+    return subscriptionsStore.get(guildId) || [];
+}
+
+// Vista pública de una suscripción (sin el secreto completo)
+function serializeSubscription(subscription) {
+    const { secret, ...rest } = subscription;
+    return { ...rest, secretHint: `…${secret.slice(-4)}` };
+}
+
+// Validar los campos de una suscripción (partial para PATCH)
+function validateSubscription(input, { partial = false } = {}) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: [{ code: 'body_object' }] };
+    }
+
+    if (!partial || input.url !== undefined) {
+        let url = null;
+        try {
+            url = new URL(input.url);
+        } catch (error) {
+            errors.push({ code: 'url_invalid', params: { field: 'url' } });
+        }
+
+        if (url) {
+            if (url.protocol !== 'https:') {
+                errors.push({ code: 'url_https', params: { field: 'url' } });
+            } else if (isPrivateHost(url.hostname)) {
+                // Los nombres se resuelven y comprueban otra vez en cada entrega
+                errors.push({ code: 'url_private', params: { field: 'url' } });
+            }
+        }
+    }
+
+    if (!partial || input.events !== undefined) {
+        if (!Array.isArray(input.events) || input.events.length === 0) {
+            errors.push({ code: 'list_required', params: { field: 'events' } });
+        } else {
+            input.events.forEach(type => {
+                if (!EVENT_TYPES.includes(type)) errors.push({ code: 'unknown_event', params: { type } });
+            });
+        }
+    }
+
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+        errors.push({ code: 'boolean', params: { field: 'enabled' } });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+function createSubscription(guildId, input, userId) {
+    const subscriptions = getSubscriptions(guildId);
+    if (subscriptions.length >= MAX_SUBSCRIPTIONS) {
+        const error = new Error(`Máximo ${MAX_SUBSCRIPTIONS} suscripciones por servidor`);
+        error.status = 400;
+        error.code = 'subscription_limit';
+        error.params = { max: MAX_SUBSCRIPTIONS };
+        throw error;
+    }
+
+    const subscription = {
+        id: crypto.randomUUID(),
+        type: DISCORD_WEBHOOK_REGEX.test(input.url) ? 'discord' : 'webhook',
+        url: input.url,
+        events: [...new Set(input.events)],
+        enabled: input.enabled !== false,
+        secret: crypto.randomBytes(24).toString('hex'),
+        createdAt: new Date().toISOString(),
+        createdBy: userId
+    };
+
+    subscriptionsStore.set(guildId, [...subscriptions, subscription]);
+    return subscription;
+}
+
+function updateSubscription(guildId, subscriptionId, input) {
+    const subscriptions = getSubscriptions(guildId);
+    const subscription = subscriptions.find(s => s.id === subscriptionId);
+    if (!subscription) return null;
+
+    if (input.url !== undefined) {
+        subscription.url = input.url;
+        subscription.type = DISCORD_WEBHOOK_REGEX.test(input.url) ? 'discord' : 'webhook';
+    }
+    if (input.events !== undefined) subscription.events = [...new Set(input.events)];
+    if (input.enabled !== undefined) subscription.enabled = input.enabled;
+
+    subscriptionsStore.set(guildId, subscriptions);
+    return subscription;
+}
+
+function deleteSubscription(guildId, subscriptionId) {
+    const subscriptions = getSubscriptions(guildId);
+    const remaining = subscriptions.filter(s => s.id !== subscriptionId);
+    if (remaining.length === subscriptions.length) return false;
+
+    subscriptionsStore.set(guildId, remaining);
+    return true;
+}
+
+function getDeliveries(guildId, subscriptionId) {
+    const deliveries = deliveriesStore.get(guildId) || [];
+    return subscriptionId ? deliveries.filter(d => d.subscriptionId === subscriptionId) : deliveries;
+}
+
+// Guardar (o actualizar) una entrega en el registro del servidor
+function logDelivery(guildId, delivery) {
+    const deliveries = (deliveriesStore.get(guildId) || []).filter(d => d.id !== delivery.id);
+    deliveries.unshift(delivery);
+    deliveriesStore.set(guildId, deliveries.slice(0, MAX_LOG_ENTRIES));
+}
+
+// Cuerpo de la petición según el tipo de destino
+function buildPayload(subscription, event) {
+    if (subscription.type === 'discord') {
+        const fields = Object.entries(event.data)
+            .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+            .slice(0, 10)
+            .map(([name, value]) => ({ name, value: String(value).slice(0, 1024), inline: true }));
+
+        return {
+            username: 'Cofonita',
+            embeds: [{
+                title: EVENT_TITLES[event.type] || event.type,
+                color: EVENT_COLORS[event.type],
+                fields,
+                footer: { text: event.type },
+                timestamp: event.timestamp
+            }]
+        };
+    }
+
+    return event;
+}
+
+// Firma HMAC-SHA256 de "timestamp.cuerpo" con el secreto de la suscripción
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function attemptDelivery(guildId, subscription, event, delivery) {
+    const body = JSON.stringify(buildPayload(subscription, event));
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attempt = { at: new Date().toISOString(), statusCode: null, error: null };
+    let retryAfter = null;
+
+    try {
+        const agent = await createPinnedAgent(subscription.url);
+        const response = await axios.post(subscription.url, body, {
+            httpsAgent: agent,
+            // Un proxy del entorno resolvería el host por su cuenta
+            proxy: false,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Cofonita-Webhooks/1.0',
+                'X-Cofonita-Event': event.type,
+                'X-Cofonita-Delivery': delivery.id,
+                'X-Cofonita-Timestamp': timestamp,
+                'X-Cofonita-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+            },
+            timeout: 10000,
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+
+        attempt.statusCode = response.status;
+        if (response.status >= 200 && response.status < 300) {
+            delivery.status = 'success';
+        } else if (response.status === 429 || response.status >= 500) {
+            retryAfter = parseFloat(response.headers['retry-after']) * 1000 || null;
+            attempt.error = `HTTP ${response.status}`;
+        } else {
+            // Error del destino que no se arregla reintentando
+            attempt.error = `HTTP ${response.status}`;
+            delivery.status = 'failed';
+        }
+    } catch (error) {
+        attempt.error = error.message;
+        if (error.code === 'unsafe_destination') delivery.status = 'failed';
+    }
+
+    delivery.attempts.push(attempt);
+    delivery.nextRetryAt = null;
+
+    if (delivery.status === 'pending') {
+        if (delivery.attempts.length >= MAX_ATTEMPTS) {
+            delivery.status = 'failed';
+        } else {
+            const delay = retryAfter || RETRY_BASE_DELAY * Math.pow(4, delivery.attempts.length - 1);
+            delivery.nextRetryAt = new Date(Date.now() + delay).toISOString();
+            const timer = setTimeout(() => {
+                // La suscripción puede haberse borrado o desactivado mientras tanto
+                const current = getSubscriptions(guildId).find(s => s.id === subscription.id);
+                if (!current || !current.enabled) {
+                    delivery.status = 'failed';
+                    delivery.nextRetryAt = null;
+                    logDelivery(guildId, delivery);
+                    return;
+                }
+                attemptDelivery(guildId, current, event, delivery).catch(() => {});
+            }, delay);
+            if (timer.unref) timer.unref();
+        }
+    }
+
+    logDelivery(guildId, delivery);
+
+    if (delivery.status === 'failed') {
+        logger.warn('Notificación no entregada', {
+            guildId,
+            subscriptionId: subscription.id,
+            eventType: event.type,
+            error: attempt.error
+        });
+    }
+    return delivery;
+}
+
+// Entregar un evento a una suscripción
+function deliver(guildId, subscription, event) {
+    const delivery = {
+        id: crypto.randomUUID(),
+        subscriptionId: subscription.id,
+        eventId: event.id,
+        eventType: event.type,
+        status: 'pending',
+        attempts: [],
+        nextRetryAt: null,
+        createdAt: new Date().toISOString()
+    };
+
+    return attemptDelivery(guildId, subscription, event, delivery);
+}
+
+// Los reintentos son temporizadores de este proceso: las entregas que seguían
+// pendientes al reiniciar ya no se van a reintentar, así que se dan por fallidas
+function failInterruptedDeliveries() {
+    deliveriesStore.entries().forEach(([guildId, deliveries]) => {
+        if (!deliveries.some(d => d.status === 'pending')) return;
+
+        deliveriesStore.set(guildId, deliveries.map(d => (d.status === 'pending'
+            ? { ...d, status: 'failed', nextRetryAt: null, interrupted: true }
+            : d)));
+        logger.warn('Entregas pendientes canceladas al arrancar', {
+            guildId,
+            count: deliveries.filter(d => d.status === 'pending').length
+        });
+    });
+}
+
+failInterruptedDeliveries();
+
+// Repartir cada evento a las suscripciones que lo escuchan.
+// Los eventos globales (guildId = null) llegan a todos los servidores.
+onEvent(event => {
+    const guildIds = event.guildId ? [event.guildId] : subscriptionsStore.keys();
+
+    guildIds.forEach(guildId => {
+        getSubscriptions(guildId)
+            .filter(s => s.enabled && s.events.includes(event.type))
+            .forEach(subscription => {
+                deliver(guildId, subscription, event).catch(error => {
+                    logger.error('Error entregando notificación', { guildId, subscriptionId: subscription.id, err: error });
+                });
+            });
+    });
+});
+
+module.exports = {
+    MAX_ATTEMPTS,
+    getSubscriptions,
+    serializeSubscription,
+    validateSubscription,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    getDeliveries,
+    deliver,
+    signPayload
+};
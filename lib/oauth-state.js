@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// Tiempo que tiene el usuario para volver de Discord
+const STATE_TTL = 10 * 60 * 1000;
+
+// Inicios de sesión pendientes por sesión (varias pestañas a la vez)
+const MAX_PENDING_STATES = 5;
+
+// Rutas del propio sitio a las que se puede volver después del login
+const ALLOWED_REDIRECTS = ['/dashboard', '/'];
+const DEFAULT_REDIRECT = '/dashboard';
+
+const SNOWFLAKE_REGEX = /^\d{17,20}$/;
+const HASH_REGEX = /^#[\w-]{1,50}$/;
+
+// Devolver un ID de servidor válido o null
+function sanitizeGuildId(value) {
+    return typeof value === 'string' && SNOWFLAKE_REGEX.test(value) ? value : null;
+}
+
+// Devolver una ruta permitida (con ancla opcional) o la ruta por defecto.
+// Nunca una URL absoluta ni "//otro-dominio".
+function sanitizeRedirect(value) {
+    if (typeof value !== 'string') return DEFAULT_REDIRECT;
+
+    const hashIndex = value.indexOf('#');
+    const path = hashIndex === -1 ? value : value.slice(0, hashIndex);
+    const hash = hashIndex === -1 ? '' : value.slice(hashIndex);
+
+    if (!ALLOWED_REDIRECTS.includes(path)) return DEFAULT_REDIRECT;
+    if (hash && !HASH_REGEX.test(hash)) return path;
+    return path + hash;
+}
+
+// URL de destino tras el login: ruta permitida + servidor elegido
+function buildRedirectUrl(baseUrl, { guildId, redirect } = {}) {
+    const target = sanitizeRedirect(redirect);
+    const hashIndex = target.indexOf('#');
+    const path = hashIndex === -1 ? target : target.slice(0, hashIndex);
+    const hash = hashIndex === -1 ? '' : target.slice(hashIndex);
+    const safeGuildId = sanitizeGuildId(guildId);
+
+    const query = safeGuildId ? `?${new URLSearchParams({ guild_id: safeGuildId })}` : '';
+    return `${baseUrl}${path}${query}${hash}`;
+}
+
+// URL de la página de login que recuerda el servidor y el destino
+function buildLoginUrl(websiteUrl, { guildId, redirect } = {}) {
+    const safeGuildId = sanitizeGuildId(guildId);
+    if (!safeGuildId) return `${websiteUrl}/login`;
+
+    const params = new URLSearchParams({
+        guild_id: safeGuildId,
+        redirect: sanitizeRedirect(redirect)
+    });
+    return `${websiteUrl}/login?${params}`;
+}
+
+// Crear un state aleatorio ligado a la sesión con los datos del viaje de ida
+function createOAuthState(session, { guildId, redirect } = {}) {
+    const state = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+
+    const pending = Object.entries(session.oauthStates || {})
+        .filter(([, entry]) => now - entry.createdAt < STATE_TTL)
+        .slice(-(MAX_PENDING_STATES - 1));
+
+    session.oauthStates = Object.fromEntries([
+        ...pending,
+        [state, {
+            guildId: sanitizeGuildId(guildId),
+            redirect: sanitizeRedirect(redirect),
+            createdAt: now
+        }]
+    ]);
+
+    return state;
+}
+
+// Comprobar el state del callback. Cada state sirve una sola vez.
+function consumeOAuthState(session, state) {
+    if (typeof state !== 'string' || !session.oauthStates) return null;
+
+    const entry = Object.prototype.hasOwnProperty.call(session.oauthStates, state)
+        ? session.oauthStates[state]
+        : null;
+    delete session.oauthStates[state];
+
+    if (!entry || Date.now() - entry.createdAt >= STATE_TTL) return null;
+    return { guildId: entry.guildId, redirect: entry.redirect };
+}
+
+module.exports = {
+    ALLOWED_REDIRECTS,
+    DEFAULT_REDIRECT,
+    sanitizeGuildId,
+    sanitizeRedirect,
+    buildRedirectUrl,
+    buildLoginUrl,
+    createOAuthState,
+    consumeOAuthState
+};
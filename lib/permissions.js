@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { getStore } = require('./json-store');
+const members = require('./members');
+const { apiError } = require('./i18n');
+const logger = require('./logger').logger.child({ module: 'permissions' });
+
+const store = getStore('dashboard-roles');
+
+// Permisos de Discord que dan acceso completo al panel
+const PERMISSIONS = {
+    ADMINISTRATOR: 0x8n,
+    MANAGE_GUILD: 0x20n
+};
+
+// Roles del panel, de menos a más acceso
+const DASHBOARD_ROLES = ['viewer', 'moderator', 'manager'];
+
+const GRANT_TYPES = ['user', 'role'];
+const MAX_GRANTS = 50;
+
+// Roles de Discord de cada miembro, para no pedirlos en cada petición
+const MEMBER_ROLES_TTL = 60 * 1000;
+const memberRolesCache = new Map();
+
+const SNOWFLAKE_REGEX = /^\d{17,20}$/;
+
+function hasPermission(permissions, flag) {
+    try {
+        return (BigInt(permissions || 0) & flag) === flag;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Acceso que da Discord por sí solo: propietario, ADMINISTRATOR o MANAGE_GUILD
+function getNativeAccess(guild) {
+    if (guild.owner) return 'owner';
+    if (hasPermission(guild.permissions, PERMISSIONS.ADMINISTRATOR)) return 'administrator';
+    if (hasPermission(guild.permissions, PERMISSIONS.MANAGE_GUILD)) return 'manage_guild';
+    return null;
+}
+
+function roleRank(role) {
+    return DASHBOARD_ROLES.indexOf(role);
+}
+
+// ¿El acceso resuelto llega al rol pedido?
+function hasRole(access, required) {
+    return !!access.role && roleRank(access.role) >= roleRank(required);
+}
+
+function getGrants(guildId) {
+    return store.get(guildId) || [];
+}
+
+function validateGrant(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: [{ code: 'body_object' }] };
+    }
+
+    if (!GRANT_TYPES.includes(input.type)) {
+        errors.push({ code: 'one_of', params: { field: 'type', values: GRANT_TYPES.join(', ') } });
+    }
+    if (typeof input.targetId !== 'string' || !SNOWFLAKE_REGEX.test(input.targetId)) {
+        errors.push({ code: 'snowflake', params: { field: 'targetId' } });
+    }
+    if (!DASHBOARD_ROLES.includes(input.role)) {
+        errors.push({ code: 'one_of', params: { field: 'role', values: DASHBOARD_ROLES.join(', ') } });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+// Dar un rol del panel. Si el destino ya tenía uno, se sustituye.
+function setGrant(guildId, { type, targetId, role }, userId) {
+    const grants = getGrants(guildId);
+    const existing = grants.find(g => g.type === type && g.targetId === targetId);
+
+    if (existing) {
+        existing.role = role;
+        existing.updatedAt = new Date().toISOString();
+        existing.updatedBy = userId;
+        store.set(guildId, grants);
+        return existing;
+    }
+
+    if (grants.length >= MAX_GRANTS) {
+        const error = new Error(`Máximo ${MAX_GRANTS} permisos por servidor`);
+        error.status = 400;
+        error.code = 'grant_limit';
+        error.params = { max: MAX_GRANTS };
+        throw error;
+    }
+
+    const grant = {
+        id: crypto.randomUUID(),
+        type,
+        targetId,
+        role,
+        createdAt: new Date().toISOString(),
+        createdBy: userId
+    };
+    store.set(guildId, [...grants, grant]);
+    return grant;
+}
+
+function deleteGrant(guildId, grantId) {
+    const grants = getGrants(guildId);
+    const remaining = grants.filter(g => g.id !== grantId);
+    if (remaining.length === grants.length) return false;
+
+    store.set(guildId, remaining);
+    return true;
+}
+
+async function getMemberRoleIds(guildId, userId) {
+    const key = `${guildId}:${userId}`;
+    const cached = memberRolesCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.roles;
+
+    let roles = [];
+    try {
+        const member = await members.getMember(guildId, userId);
+        roles = member.roles || [];
+    } catch (error) {
+        // Si ya no está en el servidor no tiene roles; el resto de errores sí importan
+        if (error.status !== 404) throw error;
+    }
+
+    memberRolesCache.set(key, { roles, expiresAt: Date.now() + MEMBER_ROLES_TTL });
+    return roles;
+}
+
+// Rol del panel de un usuario en un servidor de su lista.
+// Con resolveRoles = false no se consulta a Discord (bot ausente).
+async function resolveGuildAccess(guild, userId, { resolveRoles = true } = {}) {
+    const native = getNativeAccess(guild);
+    if (native) {
+        return { role: 'manager', source: native };
+    }
+
+    const grants = getGrants(guild.id);
+    const matching = grants.filter(g => g.type === 'user' && g.targetId === userId);
+
+    const roleGrants = grants.filter(g => g.type === 'role');
+    if (roleGrants.length > 0 && resolveRoles) {
+        try {
+            const roleIds = await getMemberRoleIds(guild.id, userId);
+            matching.push(...roleGrants.filter(g => roleIds.includes(g.targetId)));
+        } catch (error) {
+            logger.error('Error obteniendo roles del miembro', { guildId: guild.id, userId, err: error });
+        }
+    }
+
+    const best = matching.reduce((top, g) => (roleRank(g.role) > roleRank(top) ? g.role : top), null);
+    return best ? { role: best, source: 'grant' } : { role: null, source: null };
+}
+
+// Un único middleware para las rutas de un servidor, compartido por los dos servidores.
+// getUserGuilds(req) da la lista de servidores del usuario y resolveAccess(req, guild)
+// calcula su rol allí (en local o preguntando al backend).
+function createGuildAccessMiddleware({ getUserGuilds, resolveAccess }) {
+    // nativeOnly: solo propietario, ADMINISTRATOR o MANAGE_GUILD (no roles concedidos)
+    return (required, { nativeOnly = false } = {}) => async (req, res, next) => {
+        const { guildId } = req.params;
+        const guild = (getUserGuilds(req) || []).find(g => g.id === guildId);
+
+        if (!guild) {
+            logger.info('Servidor no encontrado', { guildId });
+            return res.status(404).json(apiError(req, 'guild_not_found'));
+        }
+
+        let access;
+        try {
+            access = await resolveAccess(req, guild);
+        } catch (error) {
+            logger.error('Error comprobando permisos', { guildId, err: error });
+            return res.status(502).json(apiError(req, 'access_check_failed'));
+        }
+
+        if (!hasRole(access, required) || (nativeOnly && access.source === 'grant')) {
+            logger.info('Acceso insuficiente', { guildId, role: access.role, required });
+            return res.status(403).json(apiError(req, 'insufficient_access', {
+                required: nativeOnly ? 'manage_guild' : required,
+                role: access.role
+            }));
+        }
+
+        req.guild = guild;
+        req.guildAccess = access;
+        next();
+    };
+}
+
+module.exports = {
+    PERMISSIONS,
+    DASHBOARD_ROLES,
+    GRANT_TYPES,
+    getNativeAccess,
+    hasRole,
+    getGrants,
+    validateGrant,
+    setGrant,
+    deleteGrant,
+    resolveGuildAccess,
+    createGuildAccessMiddleware
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { getStore } = require('./json-store');
+
+// Códigos secretos que crean los administradores y canjean los usuarios.
+// Del código solo se guarda el hash: quien lea el archivo de datos no puede canjearlo.
+const codesStore = getStore('secret-codes');
+const redemptionsStore = getStore('secret-redemptions');
+
+// Lo que puede desbloquear un código
+const UNLOCKS = ['game', 'badge'];
+
+// Intentos de canje por usuario en la ventana (aciertos incluidos)
+const MAX_ATTEMPTS = 5;
+const ATTEMPT_WINDOW = 10 * 60 * 1000;
+
+const CODE_MIN_LENGTH = 4;
+const CODE_MAX_LENGTH = 64;
+const NOTE_MAX_LENGTH = 200;
+
+// Sin 0/O ni 1/I para que se pueda dictar sin errores
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// userId -> marcas de tiempo de los últimos intentos (en memoria)
+const attempts = new Map();
+
+// "Salvox es Épico" y "salvoxesepico" son el mismo código
+function normalizeCode(code) {
+    return code.normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[\s-]+/g, '');
+}
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+// COFONITA-XXXX-XXXX-XXXX
+function generateCode() {
+    const groups = Array.from({ length: 3 }, () => Array.from(
+        crypto.randomBytes(4),
+        byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+    ).join(''));
+    return ['COFONITA', ...groups].join('-');
+}
+
+// Validar un código nuevo: { code?, maxUses, expiresAt, unlocks, note? }
+function validateCode(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: [{ code: 'body_object' }] };
+    }
+
+    if (input.code !== undefined) {
+        const length = typeof input.code === 'string' ? normalizeCode(input.code).length : 0;
+        if (length < CODE_MIN_LENGTH || input.code.length > CODE_MAX_LENGTH) {
+            errors.push({ code: 'text_length', params: { field: 'code', min: CODE_MIN_LENGTH, max: CODE_MAX_LENGTH } });
+        } else if (findCode(input.code)) {
+            errors.push({ code: 'secret_code_exists' });
+        }
+    }
+
+    if (input.maxUses !== null && (!Number.isInteger(input.maxUses) || input.maxUses < 1)) {
+        errors.push({ code: 'positive_integer_or_null', params: { field: 'maxUses' } });
+    }
+
+    if (input.expiresAt !== null) {
+        const expiresAt = Date.parse(input.expiresAt);
+        if (typeof input.expiresAt !== 'string' || Number.isNaN(expiresAt) || expiresAt <= Date.now()) {
+            errors.push({ code: 'future_date_or_null', params: { field: 'expiresAt' } });
+        }
+    }
+
+    if (!Array.isArray(input.unlocks) || input.unlocks.length === 0
+        || input.unlocks.some(unlock => !UNLOCKS.includes(unlock))) {
+        errors.push({ code: 'list_of', params: { field: 'unlocks', values: UNLOCKS.join(', ') } });
+    }
+
+    if (input.note !== undefined && (typeof input.note !== 'string' || input.note.length > NOTE_MAX_LENGTH)) {
+        errors.push({ code: 'text_max', params: { field: 'note', max: NOTE_MAX_LENGTH } });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+// Vista de un código para los administradores (sin el hash)
+function serializeCode(record) {
+    const { hash, ...rest } = record;
+    return rest;
+}
+
+// Crear un código; el texto solo se devuelve esta vez
+function createCode(input, userId) {
+    const code = input.code ?? generateCode();
+    const record = {
+        id: crypto.randomBytes(6).toString('hex'),
+        hash: hashCode(code),
+        hint: `…${code.slice(-4)}`,
+        maxUses: input.maxUses,
+        uses: 0,
+        expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+        unlocks: [...new Set(input.unlocks)],
+        note: input.note || null,
+        createdBy: userId,
+        createdAt: new Date().toISOString()
+    };
+    codesStore.set(record.id, record);
+    return { code, record: serializeCode(record) };
+}
+
+function listCodes() {
+    return codesStore.entries()
+        .map(([, record]) => serializeCode(record))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function deleteCode(codeId) {
+    return codesStore.delete(codeId);
+}
+
+function findCode(code) {
+    const hash = hashCode(code);
+    return codesStore.entries().map(([, record]) => record).find(record => record.hash === hash) || null;
+}
+
+function getRedemptions(userId) {
+    return redemptionsStore.get(userId) || { unlocks: [], redemptions: [] };
+}
+
+function getUnlocks(userId) {
+    return getRedemptions(userId).unlocks;
+}
+
+// Apuntar un intento; devuelve los segundos de espera si se ha pasado del límite
+function checkRateLimit(userId, now = Date.now()) {
+    const recent = (attempts.get(userId) || []).filter(time => now - time < ATTEMPT_WINDOW);
+
+    if (recent.length >= MAX_ATTEMPTS) {
+        attempts.set(userId, recent);
+        return Math.ceil((recent[0] + ATTEMPT_WINDOW - now) / 1000);
+    }
+
+    recent.push(now);
+    attempts.set(userId, recent);
+    return 0;
+}
+
+// Canjear un código. Devuelve { code } con el motivo si no se puede
+// (secret_code_invalid, _expired, _exhausted o _redeemed) o { unlocked, unlocks }.
+function redeemCode(userId, code) {
+    const record = typeof code === 'string' ? findCode(code) : null;
+    if (!record) return { code: 'secret_code_invalid' };
+
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+        return { code: 'secret_code_expired' };
+    }
+
+    const user = getRedemptions(userId);
+    if (user.redemptions.some(redemption => redemption.codeId === record.id)) {
+        return { code: 'secret_code_redeemed' };
+    }
+
+    if (record.maxUses !== null && record.uses >= record.maxUses) {
+        return { code: 'secret_code_exhausted' };
+    }
+
+    codesStore.set(record.id, { ...record, uses: record.uses + 1, lastUsedAt: new Date().toISOString() });
+
+    const unlocks = [...new Set([...user.unlocks, ...record.unlocks])];
+    redemptionsStore.set(userId, {
+        unlocks,
+        redemptions: [...user.redemptions, {
+            codeId: record.id,
+            unlocks: record.unlocks,
+            redeemedAt: new Date().toISOString()
+        }]
+    });
+
+    return {
+        unlocked: record.unlocks.filter(unlock => !user.unlocks.includes(unlock)),
+        unlocks
+    };
+}
+
+module.exports = {
+    UNLOCKS,
+    MAX_ATTEMPTS,
+    validateCode,
+    createCode,
+    listCodes,
+    deleteCode,
+    getRedemptions,
+    getUnlocks,
+    checkRateLimit,
+    redeemCode
+};
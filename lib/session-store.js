@@ -0,0 +1,106 @@
+const session = require('express-session');
+const MemoryStore = require('memorystore')(session);
+const { getStore } = require('./json-store');
+const logger = require('./logger').logger.child({ module: 'session-store' });
+
+// Cada cuánto se eliminan las sesiones caducadas
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hora
+
+// Store de express-session persistido en disco (.data/<name>.json)
+class FileSessionStore extends session.Store {
+    constructor({ name, ttl }) {
+        super();
+        this.store = getStore(name);
+        this.ttl = ttl;
+
+        this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+        if (this.cleanupTimer.unref) this.cleanupTimer.unref();
+        this.cleanup();
+    }
+
+    // Fecha de caducidad: la de la cookie o, si no tiene, ahora + ttl
+    getExpires(sess) {
+        if (sess && sess.cookie && sess.cookie.expires) {
+            return new Date(sess.cookie.expires).getTime();
+        }
+        return Date.now() + this.ttl;
+    }
+
+    get(sid, callback) {
+        const record = this.store.get(sid);
+        if (!record) return callback(null, null);
+
+        if (record.expires <= Date.now()) {
+            this.store.delete(sid);
+            return callback(null, null);
+        }
+
+        // Copia para que express-session no modifique los datos guardados
+        callback(null, JSON.parse(JSON.stringify(record.session)));
+    }
+
+    set(sid, sess, callback) {
+        this.store.set(sid, {
+            session: JSON.parse(JSON.stringify(sess)),
+            expires: this.getExpires(sess)
+        });
+        if (callback) callback(null);
+    }
+
+    touch(sid, sess, callback) {
+        const record = this.store.get(sid);
+        if (record) {
+            record.expires = this.getExpires(sess);
+            record.session.cookie = JSON.parse(JSON.stringify(sess.cookie));
+            this.store.set(sid, record);
+        }
+        if (callback) callback(null);
+    }
+
+    destroy(sid, callback) {
+        this.store.delete(sid);
+        if (callback) callback(null);
+    }
+
+    length(callback) {
+        callback(null, this.store.keys().length);
+    }
+
+    clear(callback) {
+        this.store.keys().forEach(sid => this.store.delete(sid));
+        if (callback) callback(null);
+    }
+
+    cleanup() {
+        const now = Date.now();
+        let removed = 0;
+        this.store.entries().forEach(([sid, record]) => {
+            if (!record || record.expires <= now) {
+                this.store.delete(sid);
+                removed++;
+            }
+        });
+        if (removed > 0) {
+            logger.info('Sesiones caducadas eliminadas', { store: this.store.name, removed });
+        }
+    }
+}
+
+// Crear el store de sesiones según SESSION_STORE (file | memory)
+function createSessionStore({ name, ttl }) {
+    const type = (process.env.SESSION_STORE || 'file').toLowerCase();
+
+    if (type === 'memory') {
+        logger.info('Sesiones en memoria (se pierden al reiniciar)');
+        return new MemoryStore({ checkPeriod: 86400000 });
+    }
+
+    if (type !== 'file') {
+        logger.warn('SESSION_STORE desconocido, usando "file"', { type });
+    }
+
+    logger.info('Sesiones persistentes en disco', { store: name });
+    return new FileSessionStore({ name, ttl });
+}
+
+module.exports = { FileSessionStore, createSessionStore };
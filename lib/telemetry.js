@@ -0,0 +1,201 @@
+const { getStore } = require('./json-store');
+const analytics = require('./analytics');
+const { emitEvent } = require('./events');
+const logger = require('./logger').logger.child({ module: 'telemetry' });
+
+const store = getStore('telemetry');
+
+// El bot debe enviar un latido cada minuto
+const HEARTBEAT_INTERVAL = 60 * 1000;
+
+// Ventana sobre la que se calcula la disponibilidad
+const UPTIME_WINDOW = 7 * 24 * 60 * 60 * 1000; // 7 días
+
+// Latidos seguidos sin recibir antes de avisar de que el bot no responde
+const MISSED_HEARTBEATS_ALERT = 3;
+
+const SNOWFLAKE_REGEX = /^\d{17,20}$/;
+
+// Evita avisar varias veces por la misma caída
+let heartbeatMissedNotified = false;
+
+function getState() {
+    return {
+        guilds: store.get('guilds') || {},
+        totalCommands: store.get('totalCommands') || 0,
+        commands: store.get('commands') || {},
+        heartbeats: store.get('heartbeats') || [],
+        lastHeartbeat: store.get('lastHeartbeat') || null
+    };
+}
+
+// Validar el cuerpo enviado por el bot
+function validateTelemetry(body) {
+    const errors = [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { valid: false, errors: [{ code: 'body_object' }] };
+    }
+
+    if (body.guilds !== undefined) {
+        if (!Array.isArray(body.guilds)) {
+            errors.push({ code: 'list', params: { field: 'guilds' } });
+        } else {
+            body.guilds.forEach((guild, index) => {
+                if (!guild || !SNOWFLAKE_REGEX.test(String(guild.id))) {
+                    errors.push({ code: 'snowflake', params: { field: `guilds[${index}].id` } });
+                }
+                if (!Number.isInteger(guild?.memberCount) || guild.memberCount < 0) {
+                    errors.push({ code: 'non_negative_integer', params: { field: `guilds[${index}].memberCount` } });
+                }
+                if (guild?.activity !== undefined) {
+                    if (!guild.activity || typeof guild.activity !== 'object') {
+                        errors.push({ code: 'object', params: { field: `guilds[${index}].activity` } });
+                    } else {
+                        Object.entries(guild.activity).forEach(([metric, value]) => {
+                            if (!analytics.METRICS.includes(metric)) {
+                                errors.push({ code: 'unknown_metric', params: { metric: `guilds[${index}].activity.${metric}` } });
+                            } else if (!Number.isInteger(value) || value < 0) {
+                                errors.push({ code: 'non_negative_integer', params: { field: `guilds[${index}].activity.${metric}` } });
+                            }
+                        });
+                    }
+                }
+            });
+        }
+    }
+
+    if (body.commands !== undefined) {
+        if (!body.commands || typeof body.commands !== 'object' || Array.isArray(body.commands)) {
+            errors.push({ code: 'object', params: { field: 'commands' } });
+        } else {
+            Object.entries(body.commands).forEach(([name, count]) => {
+                if (!Number.isInteger(count) || count < 0) {
+                    errors.push({ code: 'non_negative_integer', params: { field: `commands.${name}` } });
+                }
+            });
+        }
+    }
+
+    if (body.timestamp !== undefined && Number.isNaN(new Date(body.timestamp).getTime())) {
+        errors.push({ code: 'invalid_date', params: { field: 'timestamp' } });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+// Registrar un informe del bot. Cada informe cuenta como latido.
+// guilds: lista completa de servidores con su número de miembros y,
+//         opcionalmente, su actividad (activity) desde el informe anterior
+// commands: usos de cada comando desde el informe anterior
+function recordTelemetry(body) {
+    const state = getState();
+    const now = Date.now();
+    const timestamp = body.timestamp ? Math.min(new Date(body.timestamp).getTime(), now) : now;
+
+    if (body.guilds) {
+        const guilds = {};
+        body.guilds.forEach(guild => {
+            guilds[String(guild.id)] = {
+                memberCount: guild.memberCount,
+                updatedAt: timestamp
+            };
+            if (guild.activity) {
+                analytics.recordGuildActivity(String(guild.id), guild.activity, timestamp);
+            }
+        });
+        store.set('guilds', guilds);
+    }
+
+    if (body.commands) {
+        const commands = { ...state.commands };
+        let executed = 0;
+        Object.entries(body.commands).forEach(([name, count]) => {
+            commands[name] = (commands[name] || 0) + count;
+            executed += count;
+        });
+        store.set('commands', commands);
+        store.set('totalCommands', state.totalCommands + executed);
+    }
+
+    // Latidos agrupados por intervalo, solo los de la ventana de disponibilidad
+    const bucket = Math.floor(timestamp / HEARTBEAT_INTERVAL);
+    const minBucket = Math.floor((now - UPTIME_WINDOW) / HEARTBEAT_INTERVAL);
+    const heartbeats = state.heartbeats.filter(b => b >= minBucket && b !== bucket);
+    heartbeats.push(bucket);
+    heartbeats.sort((a, b) => a - b);
+    store.set('heartbeats', heartbeats);
+    store.set('lastHeartbeat', Math.max(state.lastHeartbeat || 0, timestamp));
+    heartbeatMissedNotified = false;
+
+    return getStats();
+}
+
+// Disponibilidad (%) calculada a partir de los latidos recibidos.
+// null si el bot todavía no ha enviado ninguno.
+function getUptime() {
+    const { heartbeats } = getState();
+    if (heartbeats.length === 0) return null;
+
+    const now = Date.now();
+    const currentBucket = Math.floor(now / HEARTBEAT_INTERVAL);
+    const minBucket = Math.floor((now - UPTIME_WINDOW) / HEARTBEAT_INTERVAL);
+    const firstBucket = Math.max(heartbeats[0], minBucket);
+
+    // El intervalo actual aún no ha terminado: no se cuenta como caído
+    const lastComplete = heartbeats.includes(currentBucket) ? currentBucket : currentBucket - 1;
+    const total = lastComplete - firstBucket + 1;
+    if (total <= 0) return 100;
+
+    const alive = heartbeats.filter(b => b >= firstBucket && b <= lastComplete).length;
+    return Math.min(100, (alive / total) * 100);
+}
+
+// Resumen para las estadísticas públicas y del dashboard
+function getStats() {
+    const state = getState();
+    const guilds = Object.values(state.guilds);
+
+    return {
+        totalServers: guilds.length,
+        totalUsers: guilds.reduce((sum, guild) => sum + guild.memberCount, 0),
+        totalCommands: state.totalCommands,
+        uptime: getUptime(),
+        lastHeartbeat: state.lastHeartbeat ? new Date(state.lastHeartbeat).toISOString() : null
+    };
+}
+
+// Número de miembros de un servidor según el último informe del bot
+function getGuildMemberCount(guildId) {
+    const guild = getState().guilds[guildId];
+    return guild ? guild.memberCount : null;
+}
+
+// Avisar si el bot lleva varios intervalos sin enviar latidos
+function checkHeartbeat() {
+    const { lastHeartbeat } = getState();
+    if (!lastHeartbeat || heartbeatMissedNotified) return;
+
+    const silentFor = Date.now() - lastHeartbeat;
+    if (silentFor < MISSED_HEARTBEATS_ALERT * HEARTBEAT_INTERVAL) return;
+
+    heartbeatMissedNotified = true;
+    logger.warn('El bot no envía latidos', { minutesSilent: Math.round(silentFor / 60000) });
+    emitEvent('telemetry.heartbeat_missed', null, {
+        lastHeartbeat: new Date(lastHeartbeat).toISOString(),
+        minutesSilent: Math.round(silentFor / 60000)
+    });
+}
+
+const heartbeatTimer = setInterval(checkHeartbeat, HEARTBEAT_INTERVAL);
+if (heartbeatTimer.unref) heartbeatTimer.unref();
+
+module.exports = {
+    HEARTBEAT_INTERVAL,
+    validateTelemetry,
+    recordTelemetry,
+    getUptime,
+    getStats,
+    getGuildMemberCount,
+    checkHeartbeat
+};
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+
+// Motor de plantillas HTML con un subconjunto de la sintaxis de Handlebars:
+//   {{ valor }}              escapado (por defecto)
+//   {{{ valor }}}            sin escapar, solo para HTML ya generado por otra plantilla
+//   {{> parcial [valor] }}   views/partials/<parcial>.html con el contexto actual o el indicado
+//   {{#if valor}} ... {{else}} ... {{/if}}   también {{#unless}}
+//   {{#each lista}} ... {{else}} ... {{/each}}   con this, @index, @first y @last
+//   {{!< layout }}           al principio: se pinta dentro de views/layouts/<layout>.html en {{{ body }}}
+//   {{ ayudante "texto" valor clave=valor }}   funciones registradas en helpers (p. ej. t)
+//   {{! comentario }} y {{!-- comentario --}}
+// Las plantillas se compilan a un árbol una vez y el resultado se guarda en caché.
+
+const TAG_REGEX = /\{\{!--[\s\S]*?--\}\}|\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const NAME_REGEX = /^[\w-]+$/;
+const PATH_REGEX = /^(this|@index|@first|@last|@root(\.[\w-]+)*|[\w-]+(\.[\w-]+)*)$/;
+const BLOCKS = ['if', 'unless', 'each'];
+const ARGUMENT_REGEX = /\s*(?:([\w-]+)=)?(?:"([^"]*)"|([^\s"=]+))/y;
+
+// Función para escapar HTML
+const escapeHtml = (text) => {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+};
+
+function lineAt(source, index) {
+    return source.slice(0, index).split('\n').length;
+}
+
+function checkPath(value, name, line) {
+    if (!PATH_REGEX.test(value)) {
+        throw new Error(`Plantilla ${name}:${line}: expresión no válida "${value}"`);
+    }
+    return value;
+}
+
+// Argumentos de un ayudante: "literales", expresiones y clave=valor
+function parseArguments(text, name, line) {
+    const args = [];
+    const hash = {};
+    ARGUMENT_REGEX.lastIndex = 0;
+
+    while (ARGUMENT_REGEX.lastIndex < text.length) {
+        const match = ARGUMENT_REGEX.exec(text);
+        if (!match) {
+            throw new Error(`Plantilla ${name}:${line}: argumentos no válidos "${text}"`);
+        }
+        const [, key, literal, expression] = match;
+        const value = literal !== undefined
+            ? { literal }
+            : { path: checkPath(expression, name, line) };
+        if (key) hash[key] = value; else args.push(value);
+    }
+
+    return { args, hash };
+}
+
+// Convertir el texto en un árbol de nodos: texto, variables, parciales, ayudantes y bloques
+function parse(source, name, helpers = {}) {
+    const root = { children: [] };
+    const stack = [root];
+    let layout = null;
+    let current = root.children;
+    let lastIndex = 0;
+    let match;
+
+    TAG_REGEX.lastIndex = 0;
+    while ((match = TAG_REGEX.exec(source)) !== null) {
+        const line = lineAt(source, match.index);
+        if (match.index > lastIndex) {
+            current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = TAG_REGEX.lastIndex;
+
+        // {{!-- comentario --}}
+        if (match[1] === undefined && match[2] === undefined) continue;
+
+        const raw = match[1] !== undefined;
+        const tag = raw ? match[1] : match[2];
+
+        // {{ ayudante argumentos }} o {{{ ayudante argumentos }}}
+        const first = tag.split(/\s+/)[0];
+        if (Object.prototype.hasOwnProperty.call(helpers, first)) {
+            const { args, hash } = parseArguments(tag.slice(first.length).trim(), name, line);
+            current.push({ type: 'helper', name: first, args, hash, raw });
+            continue;
+        }
+
+        // {{{ valor }}}: sin escapar
+        if (raw) {
+            current.push({ type: 'value', path: checkPath(tag, name, line), raw: true });
+            continue;
+        }
+
+        if (tag.startsWith('!<')) {
+            const layoutName = tag.slice(2).trim();
+            if (!NAME_REGEX.test(layoutName) || stack.length > 1 || root.children.some(node => node.type !== 'text' || node.value.trim())) {
+                throw new Error(`Plantilla ${name}:${line}: el layout debe declararse al principio`);
+            }
+            layout = layoutName;
+            continue;
+        }
+
+        if (tag.startsWith('!')) continue;
+
+        if (tag.startsWith('>')) {
+            const [partial, context, ...rest] = tag.slice(1).trim().split(/\s+/);
+            if (!NAME_REGEX.test(partial) || rest.length > 0) {
+                throw new Error(`Plantilla ${name}:${line}: parcial no válido "${tag}"`);
+            }
+            current.push({ type: 'partial', name: partial, path: context ? checkPath(context, name, line) : 'this' });
+            continue;
+        }
+
+        if (tag.startsWith('#')) {
+            const [block, value, ...rest] = tag.slice(1).trim().split(/\s+/);
+            if (!BLOCKS.includes(block) || !value || rest.length > 0) {
+                throw new Error(`Plantilla ${name}:${line}: bloque no válido "${tag}"`);
+            }
+            const node = { type: block, path: checkPath(value, name, line), children: [], inverse: null, line };
+            current.push(node);
+            stack.push(node);
+            current = node.children;
+            continue;
+        }
+
+        if (tag === 'else') {
+            const open = stack[stack.length - 1];
+            if (open === root || open.inverse) {
+                throw new Error(`Plantilla ${name}:${line}: {{else}} fuera de un bloque`);
+            }
+            open.inverse = [];
+            current = open.inverse;
+            continue;
+        }
+
+        if (tag.startsWith('/')) {
+            const open = stack[stack.length - 1];
+            if (open === root || open.type !== tag.slice(1).trim()) {
+                throw new Error(`Plantilla ${name}:${line}: cierre inesperado "${tag}"`);
+            }
+            stack.pop();
+            const parent = stack[stack.length - 1];
+            current = parent.inverse || parent.children;
+            continue;
+        }
+
+        current.push({ type: 'value', path: checkPath(tag, name, line), raw: false });
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`Plantilla ${name}:${open.line}: falta {{/${open.type}}}`);
+    }
+    if (lastIndex < source.length) {
+        root.children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return { name, layout, nodes: root.children };
+}
+
+// Resolver una expresión en el contexto del bloque actual
+function lookup(scope, expression) {
+    if (expression === 'this') return scope.context;
+    if (expression.startsWith('@root')) {
+        return expression.split('.').slice(1).reduce((value, key) => value?.[key], scope.root);
+    }
+    if (expression.startsWith('@')) return scope.data[expression.slice(1)];
+    return expression.split('.').reduce((value, key) => value?.[key], scope.context);
+}
+
+// Como en Handlebars, una lista vacía cuenta como falsa
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// Valor de un argumento de ayudante
+function resolveArgument(scope, argument) {
+    return argument.literal !== undefined ? argument.literal : lookup(scope, argument.path);
+}
+
+// helpers: { nombre(args, hash, root) } -> texto (se escapa salvo con {{{ }}})
+function createTemplateEngine({ root, cache = true, helpers = {} }) {
+    const compiled = new Map();
+
+    function load(name) {
+        if (cache && compiled.has(name)) return compiled.get(name);
+
+        const file = path.join(root, `${name}.html`);
+        let source;
+        try {
+            source = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new Error(`Plantilla no encontrada: ${name}`);
+        }
+
+        const template = parse(source, name, helpers);
+        compiled.set(name, template);
+        return template;
+    }
+
+    function renderNodes(nodes, scope, out) {
+        nodes.forEach(node => {
+            switch (node.type) {
+                case 'text':
+                    out.push(node.value);
+                    break;
+                case 'value': {
+                    const value = lookup(scope, node.path);
+                    out.push(node.raw ? (value ?? '') : escapeHtml(value));
+                    break;
+                }
+                case 'helper': {
+                    const args = node.args.map(argument => resolveArgument(scope, argument));
+                    const hash = {};
+                    Object.keys(node.hash).forEach(key => {
+                        hash[key] = resolveArgument(scope, node.hash[key]);
+                    });
+                    const value = helpers[node.name](args, hash, scope.root);
+                    out.push(node.raw ? (value ?? '') : escapeHtml(value));
+                    break;
+                }
+                case 'partial':
+                    renderTemplate(`partials/${node.name}`, lookup(scope, node.path), scope.root, out);
+                    break;
+                case 'if':
+                case 'unless': {
+                    const passes = isTruthy(lookup(scope, node.path)) === (node.type === 'if');
+                    const branch = passes ? node.children : node.inverse;
+                    if (branch) renderNodes(branch, scope, out);
+                    break;
+                }
+                case 'each': {
+                    const list = lookup(scope, node.path);
+                    if (!isTruthy(list)) {
+                        if (node.inverse) renderNodes(node.inverse, scope, out);
+                        break;
+                    }
+                    Array.from(list).forEach((item, index, items) => {
+                        renderNodes(node.children, {
+                            context: item,
+                            root: scope.root,
+                            data: { index, first: index === 0, last: index === items.length - 1 }
+                        }, out);
+                    });
+                    break;
+                }
+            }
+        });
+        return out;
+    }
+
+    function renderTemplate(name, context, rootContext, out) {
+        renderNodes(load(name).nodes, { context, root: rootContext, data: {} }, out);
+    }
+
+    // Pintar una plantilla y, si declara layout, envolverla en él (los layouts pueden encadenarse)
+    function render(name, data = {}) {
+        const template = load(name);
+        const body = renderNodes(template.nodes, { context: data, root: data, data: {} }, []).join('');
+        return template.layout ? render(`layouts/${template.layout}`, { ...data, body }) : body;
+    }
+
+    // Compilar todas las plantillas al arrancar para que un error de sintaxis se vea enseguida
+    function precompile(dir = root) {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                precompile(file);
+            } else if (entry.name.endsWith('.html')) {
+                const name = path.relative(root, file).slice(0, -'.html'.length).split(path.sep).join('/');
+                compiled.set(name, parse(fs.readFileSync(file, 'utf8'), name, helpers));
+            }
+        });
+        return compiled.size;
+    }
+
+    return { render, precompile };
+}
+
+module.exports = {
+    escapeHtml,
+    createTemplateEngine
+};
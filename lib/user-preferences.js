@@ -0,0 +1,27 @@
+const { getStore } = require('./json-store');
+const { LOCALES } = require('./i18n');
+
+// Preferencias del usuario en el panel. Van aparte del perfil porque
+// el perfil se reescribe con los datos de Discord en cada login.
+const store = getStore('user-preferences');
+
+const DEFAULT_PREFERENCES = {
+    // null = el del servidor o el del navegador
+    locale: null
+};
+
+function getPreferences(userId) {
+    return { ...DEFAULT_PREFERENCES, ...store.get(userId) };
+}
+
+function isValidLocale(locale) {
+    return locale === null || LOCALES.includes(locale);
+}
+
+function setLocale(userId, locale) {
+    const preferences = { ...getPreferences(userId), locale, updatedAt: new Date().toISOString() };
+    store.set(userId, preferences);
+    return preferences;
+}
+
+module.exports = { getPreferences, isValidLocale, setLocale };
@@ -0,0 +1,43 @@
+const { getStore } = require('./json-store');
+
+const store = getStore('user-profiles');
+
+// Los perfiles duran lo mismo que la sesión del backend (7 días)
+const PROFILE_TTL = 7 * 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hora
+
+// Guardar el perfil enriquecido de Discord en el servidor
+function saveProfile(profile) {
+    store.set(profile.id, {
+        profile,
+        updatedAt: Date.now()
+    });
+    return profile;
+}
+
+// Obtener el perfil de un usuario (null si no existe o ha caducado)
+function getProfile(userId) {
+    const record = store.get(userId);
+    if (!record) return null;
+
+    if (Date.now() - record.updatedAt > PROFILE_TTL) {
+        store.delete(userId);
+        return null;
+    }
+
+    return record.profile;
+}
+
+function cleanupProfiles() {
+    const now = Date.now();
+    store.entries().forEach(([userId, record]) => {
+        if (!record || now - record.updatedAt > PROFILE_TTL) {
+            store.delete(userId);
+        }
+    });
+}
+
+const cleanupTimer = setInterval(cleanupProfiles, CLEANUP_INTERVAL);
+if (cleanupTimer.unref) cleanupTimer.unref();
+
+module.exports = { saveProfile, getProfile, cleanupProfiles };
@@ -1,14 +1,43 @@
+// Cargar variables de entorno (antes que los módulos que leen process.env)
+require('dotenv').config();
+
 const express = require('express');
 const session = require('express-session');
 const passport = require('passport');
 const DiscordStrategy = require('passport-discord').Strategy;
 const path = require('path');
-const axios = require('axios');
 const fs = require('fs');
 const crypto = require('crypto');
+const guildConfig = require('./lib/guild-config');
+const configBackups = require('./lib/config-backups');
+const userProfiles = require('./lib/user-profiles');
+const discordOAuth = require('./lib/discord-oauth');
+const { isNonceHash, createHandoffToken, verifyHandoffToken } = require('./lib/handoff-token');
+const oauthState = require('./lib/oauth-state');
+const telemetry = require('./lib/telemetry');
+const analytics = require('./lib/analytics');
+const moderation = require('./lib/moderation');
+const members = require('./lib/members');
+const { emitEvent, onEvent, getEventsSince } = require('./lib/events');
+const notifications = require('./lib/notifications');
+const permissions = require('./lib/permissions');
+const guildDetails = require('./lib/guild-details');
+const botInvite = require('./lib/bot-invite');
+const interactions = require('./lib/interactions');
+const { registerBotCommands } = require('./lib/bot-commands');
+const commands = require('./lib/commands');
+const { botRequest, paginate, describeDiscordError, DiscordRateLimitError } = require('./lib/discord-bot');
+const { createSessionStore } = require('./lib/session-store');
+const { loadConfig } = require('./lib/config');
+const { createI18nMiddleware, apiError, translateErrors } = require('./lib/i18n');
+const { createCsrfGuard } = require('./lib/csrf');
+const userPreferences = require('./lib/user-preferences');
+const gameSaves = require('./lib/game-saves');
+const gameLeaderboard = require('./lib/game-leaderboard');
+const secretCodes = require('./lib/secret-codes');
+const { logger, configureLogger, createRequestLogger, REQUEST_ID_HEADER } = require('./lib/logger');
 
-// Cargar variables de entorno
-require('dotenv').config();
+configureLogger({ service: 'backend' });
 
 const app = express();
 
@@ -19,67 +48,112 @@ const {
     DISCORD_CLIENT_SECRET,
     SESSION_SECRET = 'default_session_secret_change_this',
     DISCORD_TOKEN,
-    NODE_ENV = 'production'
+    HANDOFF_SECRET,
+    BOT_TELEMETRY_SECRET,
+    DISCORD_PUBLIC_KEY,
+    ADMIN_USER_IDS = ''
 } = process.env;
 
-// URLs definitivas para producción
-const FINAL_WEBSITE_URL = 'https://cofonitabot.netlify.app';
-const FINAL_API_URL = 'https://cofonita-web.onrender.com';
-const FINAL_REDIRECT_URL = `${FINAL_API_URL}/auth/discord/callback`;
+// Usuarios de Discord que administran el bot en sí (p. ej. sincronizar comandos globales)
+const ADMIN_IDS = ADMIN_USER_IDS.split(',').map(id => id.trim()).filter(Boolean);
+
+// URLs de despliegue (perfil APP_ENV: development | staging | production)
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    logger.error('Configuración inválida', { err: error });
+    process.exit(1);
+}
+
+const FINAL_WEBSITE_URL = config.websiteUrl;
+const FINAL_API_URL = config.apiUrl;
+const FINAL_REDIRECT_URL = config.redirectUrl;
+const FINAL_DASHBOARD_URL = config.dashboardUrl;
 
 // DEBUG: Mostrar variables cargadas
-console.log('🔧 Variables de entorno cargadas:');
-console.log('   PORT:', PORT);
-console.log('   NODE_ENV:', NODE_ENV);
-console.log('   WEBSITE_URL (frontend):', FINAL_WEBSITE_URL);
-console.log('   API_URL (backend):', FINAL_API_URL);
-console.log('   REDIRECT_URL (final):', FINAL_REDIRECT_URL);
-console.log('   CLIENT_ID:', CLIENT_ID ? '✓ Configurado' : '✗ No configurado');
-console.log('   DISCORD_TOKEN:', DISCORD_TOKEN ? '✓ Configurado' : '✗ No configurado');
+logger.info('Variables de entorno cargadas', {
+    port: PORT,
+    profile: config.profile,
+    websiteUrl: FINAL_WEBSITE_URL,
+    apiUrl: FINAL_API_URL,
+    redirectUrl: FINAL_REDIRECT_URL,
+    dashboardUrl: FINAL_DASHBOARD_URL,
+    // Solo los nombres de las que están configuradas, nunca su valor
+    configured: ['CLIENT_ID', 'DISCORD_TOKEN', 'HANDOFF_SECRET', 'BOT_TELEMETRY_SECRET', 'DISCORD_PUBLIC_KEY']
+        .filter(name => process.env[name]),
+    admins: ADMIN_IDS.length
+});
 
 // Verificar variables de entorno
 if (!CLIENT_ID) {
-    console.error('❌ ERROR: CLIENT_ID no configurado');
+    logger.error('CLIENT_ID no configurado');
     process.exit(1);
 }
 
 if (!DISCORD_CLIENT_SECRET) {
-    console.error('❌ ERROR: DISCORD_CLIENT_SECRET no configurado');
+    logger.error('DISCORD_CLIENT_SECRET no configurado');
     process.exit(1);
 }
 
 if (!DISCORD_TOKEN) {
-    console.error('❌ ERROR: DISCORD_TOKEN no configurado');
+    logger.error('DISCORD_TOKEN no configurado');
     process.exit(1);
 }
 
-// Validar que el callback URL sea accesible desde internet
-if (FINAL_REDIRECT_URL.includes('localhost') || FINAL_REDIRECT_URL.includes('127.0.0.1')) {
-    console.error('❌ ERROR: REDIRECT_URL no puede ser localhost en producción');
+// Render pone un proxy delante: sin esto las cookies secure no se envían
+if (config.trustProxy) {
+    app.set('trust proxy', 1);
+}
+
+if (DISCORD_PUBLIC_KEY && !interactions.isValidPublicKey(DISCORD_PUBLIC_KEY)) {
+    logger.error('DISCORD_PUBLIC_KEY debe ser la clave pública en hex (64 caracteres)');
     process.exit(1);
 }
 
 // Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// ID de cada petición (el que manda el dashboard o uno nuevo) y log de acceso con la duración
+app.use(createRequestLogger({
+    getUserId: req => req.user?.id,
+    skip: ['/health']
+}));
+
+// Idioma de cada petición: preferencia del usuario, idioma del servidor o Accept-Language
+app.use(createI18nMiddleware({
+    getUserLocale: req => (req.user ? userPreferences.getPreferences(req.user.id).locale : null),
+    getGuildLocale: (req, guildId) => guildConfig.getConfiguredLanguage(guildId)
+}));
+
+app.use(express.json({
+    // La firma de las interacciones se calcula sobre el cuerpo tal cual llega
+    verify: (req, res, buf) => {
+        if (req.originalUrl === '/interactions') req.rawBody = buf;
+    }
+}));
+// El juego no es público: solo se entrega desde /secret, tras comprobar el desbloqueo
+app.use('/game', (req, res) => sendNotFound(req, res));
 app.use(express.static('.'));
 
 // Configuración de sesión mejorada para producción
-const MemoryStore = require('memorystore')(session);
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 días
 
 app.use(session({
     secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: {
-        secure: NODE_ENV === 'production',
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 días
+        secure: config.cookieSecure,
+        maxAge: SESSION_MAX_AGE,
         httpOnly: true,
-        sameSite: 'lax'
+        // La web (otro sitio) llama a la API con la sesión: en producción la cookie
+        // tiene que viajar en peticiones cross-site, y el guard CSRF de abajo limita
+        // desde qué webs. En local todo es localhost y basta con lax.
+        sameSite: config.cookieSecure ? 'none' : 'lax'
     },
     name: 'cofonita.sid',
-    store: new MemoryStore({
-        checkPeriod: 86400000
+    store: createSessionStore({
+        name: 'sessions-auth',
+        ttl: SESSION_MAX_AGE
     })
 }));
 
@@ -91,46 +165,117 @@ app.use(passport.session());
 const botCache = {
     guilds: [],
     lastUpdate: null,
+    pending: null,
+    // Marcado al confirmar una instalación: la próxima consulta descarga de nuevo
+    stale: false,
     stats: {
         totalServers: 0,
         totalUsers: 0,
-        totalCommands: 0
+        totalCommands: 0,
+        uptime: null
     }
 };
 
+// Actualizar las estadísticas del cache con la telemetría del bot
+function updateBotStats() {
+    const stats = telemetry.getStats();
+    botCache.stats = {
+        totalServers: stats.totalServers || botCache.guilds.length,
+        totalUsers: stats.totalUsers,
+        totalCommands: stats.totalCommands,
+        uptime: stats.uptime
+    };
+    return botCache.stats;
+}
+
+updateBotStats();
+
+// Tiempo mínimo entre recargas forzadas del cache del bot
+const BOT_CACHE_FORCE_INTERVAL = 10000;
+
+// Descargar todos los servidores del bot (de 200 en 200) y avisar de los cambios
+async function fetchBotGuilds() {
+    logger.debug('Obteniendo servidores del bot desde Discord API');
+    const guilds = await paginate('/users/@me/guilds', { limit: 200 });
+
+    // Avisar de los servidores a los que el bot ha entrado o de los que ha salido
+    if (botCache.lastUpdate) {
+        const previousIds = botCache.guilds.map(g => g.id);
+        const currentIds = guilds.map(g => g.id);
+        
+        guilds
+            .filter(g => !previousIds.includes(g.id))
+            .forEach(g => emitEvent('guild.bot_joined', g.id, { guildId: g.id, name: g.name }));
+        botCache.guilds
+            .filter(g => !currentIds.includes(g.id))
+            .forEach(g => emitEvent('guild.bot_left', g.id, { guildId: g.id, name: g.name }));
+    }
+    
+    botCache.guilds = guilds;
+    botCache.lastUpdate = Date.now();
+    botCache.stale = false;
+    logger.info('Servidores del bot obtenidos', { guilds: botCache.guilds.length });
+    
+    return botCache.guilds;
+}
+
 // Función para obtener servidores donde el bot está presente
-async function getBotGuilds() {
+async function getBotGuilds({ force = false } = {}) {
+    if (!DISCORD_TOKEN) {
+        logger.warn('DISCORD_TOKEN no configurado, no se pueden obtener servidores del bot');
+        return [];
+    }
+    
+    const maxAge = force ? BOT_CACHE_FORCE_INTERVAL : 300000;
+    if (!botCache.stale && botCache.lastUpdate && (Date.now() - botCache.lastUpdate) < maxAge) {
+        logger.debug('Usando cache de servidores del bot');
+        return botCache.guilds;
+    }
+
+    // Las peticiones que llegan a la vez esperan a la misma descarga
+    if (!botCache.pending) {
+        botCache.pending = fetchBotGuilds().finally(() => {
+            botCache.pending = null;
+        });
+    }
+
     try {
-        if (!DISCORD_TOKEN) {
-            console.warn('⚠️  DISCORD_TOKEN no configurado, no se pueden obtener servidores del bot');
-            return [];
-        }
+        return await botCache.pending;
+    } catch (error) {
+        logger.error('Error al obtener servidores del bot', { err: error });
         
-        const now = Date.now();
-        if (botCache.lastUpdate && (now - botCache.lastUpdate) < 300000) {
-            console.log('📦 Usando cache de servidores del bot');
+        // Mejor una lista algo antigua que marcar todos los servidores como sin bot
+        if (botCache.lastUpdate) {
+            logger.warn('Usando cache antiguo de servidores del bot');
             return botCache.guilds;
         }
+        throw error;
+    }
+}
 
-        console.log('🔄 Obteniendo servidores del bot desde Discord API...');
-        const botGuildsResponse = await axios.get('https://discord.com/api/v10/users/@me/guilds', {
-            headers: { Authorization: `Bot ${DISCORD_TOKEN}` },
-            timeout: 10000
+// Añadir a los servidores del usuario los flags bot_installed, manageable y access_level.
+// manageable: propietario, ADMINISTRATOR o MANAGE_GUILD. access_level: rol en el panel.
+async function enrichGuilds(guilds, botGuilds, userId) {
+    const botGuildIds = botGuilds.map(g => g.id);
+    
+    return Promise.all(guilds.map(async guild => {
+        const isBotInstalled = botGuildIds.includes(guild.id);
+        const memberCount = telemetry.getGuildMemberCount(guild.id);
+        
+        // Los permisos por rol de Discord solo se pueden comprobar con el bot dentro
+        const access = await permissions.resolveGuildAccess(guild, userId, {
+            resolveRoles: isBotInstalled
         });
-
-        botCache.guilds = botGuildsResponse.data;
-        botCache.lastUpdate = now;
-        console.log(`✅ Obtenidos ${botCache.guilds.length} servidores del bot`);
         
-        return botCache.guilds;
-    } catch (error) {
-        console.error('❌ Error al obtener servidores del bot:', error.message);
-        if (error.response) {
-            console.error('   Status:', error.response.status);
-            console.error('   Data:', error.response.data);
-        }
-        return [];
-    }
+        return {
+            ...guild,
+            ...(memberCount !== null && { approximate_member_count: memberCount }),
+            bot_installed: isBotInstalled,
+            manageable: permissions.getNativeAccess(guild) !== null,
+            access_level: access.role,
+            login_url: oauthState.buildLoginUrl(FINAL_WEBSITE_URL, { guildId: guild.id })
+        };
+    }));
 }
 
 // Configurar estrategia de Discord
@@ -139,58 +284,62 @@ passport.use(new DiscordStrategy({
     clientSecret: DISCORD_CLIENT_SECRET,
     callbackURL: FINAL_REDIRECT_URL,
     scope: ['identify', 'guilds']
-}, async (accessToken, refreshToken, profile, done) => {
+}, async (accessToken, refreshToken, params, profile, done) => {
     try {
-        console.log(`🔍 Autenticando usuario: ${profile.username}#${profile.discriminator} (ID: ${profile.id})`);
-        
         const enrichedProfile = {
             ...profile,
             accessToken,
             refreshToken,
+            tokenExpiresAt: discordOAuth.getTokenExpiry(params.expires_in),
             avatar_url: profile.avatar 
                 ? `https://cdn.discordapp.com/avatars/${profile.id}/${profile.avatar}.png?size=256`
                 : `https://cdn.discordapp.com/embed/avatars/${profile.discriminator % 5}.png`
         };
 
-        const botGuilds = await getBotGuilds();
-        const botGuildIds = botGuilds.map(g => g.id);
+        // Un fallo de Discord no debe impedir el inicio de sesión
+        const botGuilds = await getBotGuilds().catch(() => []);
         
-        console.log(`🔍 Bot está en ${botGuildIds.length} servidores`);
         
         if (enrichedProfile.guilds) {
-            console.log(`🔍 Usuario tiene ${enrichedProfile.guilds.length} servidores`);
-            enrichedProfile.guilds = enrichedProfile.guilds.map(guild => {
-                const isBotInstalled = botGuildIds.includes(guild.id);
-                const isManageable = (guild.permissions & 0x8) === 0x8;
-                
-                return {
-                    ...guild,
-                    bot_installed: isBotInstalled,
-                    manageable: isManageable,
-                    login_url: `${FINAL_WEBSITE_URL}/login?guild_id=${guild.id}&redirect=${encodeURIComponent('/dashboard')}`
-                };
-            });
+            enrichedProfile.guilds = await enrichGuilds(enrichedProfile.guilds, botGuilds, profile.id);
         }
 
-        console.log(`✅ Autenticación exitosa para ${enrichedProfile.username}`);
+        logger.debug('Autenticación con Discord completada', {
+            botGuilds: botGuilds.length,
+            userGuilds: enrichedProfile.guilds?.length || 0
+        });
         return done(null, enrichedProfile);
     } catch (error) {
-        console.error('❌ Error en autenticación:', error.message);
-        if (error.response) {
-            console.error('   Response data:', error.response.data);
-        }
+        logger.error('Error en autenticación', { err: error });
         return done(error, null);
     }
 }));
 
-// Serializar usuario
+// Serializar usuario: en la sesión solo va el ID, el perfil se guarda aparte
 passport.serializeUser((user, done) => {
-    done(null, user);
+    try {
+        userProfiles.saveProfile(user);
+        done(null, user.id);
+    } catch (error) {
+        done(error);
+    }
 });
 
-// Deserializar usuario
-passport.deserializeUser((obj, done) => {
-    done(null, obj);
+// Deserializar usuario desde el perfil guardado en el servidor
+passport.deserializeUser((id, done) => {
+    try {
+        const profile = userProfiles.getProfile(id);
+        
+        // Perfiles guardados antes de los roles del panel (solo bit de administrador)
+        profile?.guilds?.forEach(guild => {
+            if (guild.access_level === undefined) {
+                guild.access_level = guild.manageable ? 'manager' : null;
+            }
+        });
+        done(null, profile || false);
+    } catch (error) {
+        done(error);
+    }
 });
 
 // Middleware de autenticación
@@ -198,16 +347,54 @@ const isAuthenticated = (req, res, next) => {
     if (req.isAuthenticated()) {
         return next();
     }
-    console.log('🔒 Usuario no autenticado, redirigiendo a /login');
+    logger.debug('Usuario no autenticado, redirigiendo a /login');
     res.redirect(`${FINAL_WEBSITE_URL}/login`);
 };
 
+// Middleware para rutas de un servidor: rol mínimo del panel en ese servidor
+const requireGuildAccess = permissions.createGuildAccessMiddleware({
+    getUserGuilds: req => req.user.guilds,
+    resolveAccess: (req, guild) => permissions.resolveGuildAccess(guild, req.user.id, {
+        resolveRoles: guild.bot_installed
+    })
+});
+
+// Middleware para peticiones del propio bot (secreto compartido)
+const isBot = (req, res, next) => {
+    if (!BOT_TELEMETRY_SECRET) {
+        return res.status(503).json(apiError(req, 'telemetry_unavailable'));
+    }
+    
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const expected = Buffer.from(BOT_TELEMETRY_SECRET);
+    const received = Buffer.from(token);
+    
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        logger.warn('Petición del bot con secreto inválido');
+        return res.status(401).json(apiError(req, 'unauthorized'));
+    }
+    
+    next();
+};
+
+// Middleware para administradores del bot (ADMIN_USER_IDS)
+const isAdmin = (req, res, next) => {
+    if (!ADMIN_IDS.includes(req.user.id)) {
+        logger.warn('Acceso de administrador denegado', { userId: req.user.id });
+        return res.status(403).json(apiError(req, 'admin_only'));
+    }
+    
+    next();
+};
+
 // Middleware para CORS
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', FINAL_WEBSITE_URL);
     res.header('Access-Control-Allow-Credentials', 'true');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', `Origin, X-Requested-With, Content-Type, Accept, Authorization, ${REQUEST_ID_HEADER}`);
+    res.header('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -216,6 +403,14 @@ app.use((req, res, next) => {
     next();
 });
 
+// Con la cookie en SameSite=None, cualquier web podría enviar peticiones con la
+// sesión del usuario. Las que vienen de un navegador tienen que salir de la web,
+// del propio backend o del dashboard; el dashboard llama desde el servidor, sin Origin.
+app.use(createCsrfGuard({
+    allowedOrigins: [FINAL_WEBSITE_URL, FINAL_API_URL, FINAL_DASHBOARD_URL],
+    skip: ['/interactions', '/api/bot/telemetry']
+}));
+
 // Middleware para pasar datos de usuario a las vistas
 app.use((req, res, next) => {
     res.locals.user = req.isAuthenticated() ? req.user : null;
@@ -226,71 +421,150 @@ app.use((req, res, next) => {
 
 // Servir archivos HTML
 app.get('/', (req, res) => {
-    console.log('🏠 Sirviendo página principal del backend');
     res.json({
         service: 'Cofonita Auth Backend',
         status: 'running',
         website: FINAL_WEBSITE_URL,
         api: FINAL_API_URL,
-        environment: NODE_ENV
+        environment: config.profile
     });
 });
 
 app.get('/login', (req, res) => {
     if (req.isAuthenticated()) {
-        console.log('✅ Usuario ya autenticado, redirigiendo al dashboard');
+        logger.debug('Usuario ya autenticado, redirigiendo al dashboard');
         return res.redirect(`${FINAL_WEBSITE_URL}/dashboard`);
     }
-    console.log('🔐 Sirviendo página de login');
     res.sendFile(path.join(__dirname, 'login.html'));
 });
 
 // Ruta para el dashboard
 app.get('/dashboard', isAuthenticated, (req, res) => {
-    console.log('📊 Sirviendo dashboard para:', req.user.username);
     res.redirect(`${FINAL_WEBSITE_URL}/dashboard`);
 });
 
-// Ruta de Easter egg
-app.get('/secret', (req, res) => {
-    console.log('🥚 Easter egg encontrado');
+// El juego y sus partidas y misiones, solo para quien lo ha desbloqueado con un código
+function requireGameUnlock(req, res, next) {
+    if (!secretCodes.getUnlocks(req.user.id).includes('game')) {
+        return res.status(403).json(apiError(req, 'secret_locked'));
+    }
+    next();
+}
+
+// Ruta de Easter egg: el juego se sirve desde aquí para que sus llamadas a la
+// API sean del mismo origen
+app.get('/secret', isAuthenticated, requireGameUnlock, (req, res) => {
+    res.sendFile(path.join(__dirname, 'game', 'easteregg.html'));
+});
+
+// Canjear un código secreto (limitado a MAX_ATTEMPTS intentos cada 10 minutos)
+app.post('/api/secret/redeem', isAuthenticated, (req, res) => {
+    const retryAfter = secretCodes.checkRateLimit(req.user.id);
+    if (retryAfter > 0) {
+        logger.warn('Demasiados intentos de canje', { userId: req.user.id, retryAfter });
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json(apiError(req, 'secret_rate_limited', { retryAfter }, {
+            minutes: Math.ceil(retryAfter / 60)
+        }));
+    }
+    
+    try {
+        const result = secretCodes.redeemCode(req.user.id, req.body?.code);
+        if (result.code) {
+            logger.info('Canje fallido', { userId: req.user.id, reason: result.code });
+            const status = result.code === 'secret_code_invalid' ? 404
+                : result.code === 'secret_code_redeemed' ? 409
+                    : 410;
+            return res.status(status).json(apiError(req, result.code));
+        }
+        
+        logger.info('Código canjeado', { userId: req.user.id, unlocked: result.unlocked });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error('Error al canjear código', { err: error });
+        res.status(500).json(apiError(req, 'secret_redeem_failed'));
+    }
+});
+
+// Lo que el usuario tiene desbloqueado
+app.get('/api/secret/unlocks', isAuthenticated, (req, res) => {
+    const { unlocks, redemptions } = secretCodes.getRedemptions(req.user.id);
     res.json({
         success: true,
-        message: '🎮 Easter egg encontrado!',
-        secret: 'COFONITA_SECRET_' + crypto.randomBytes(8).toString('hex'),
-        timestamp: new Date().toISOString()
+        unlocks,
+        redemptions: redemptions.length
+    });
+});
+
+// Gestión de códigos (administradores del bot)
+app.get('/api/secret/codes', isAuthenticated, isAdmin, (req, res) => {
+    res.json({
+        success: true,
+        unlocks: secretCodes.UNLOCKS,
+        codes: secretCodes.listCodes()
     });
 });
 
+app.post('/api/secret/codes', isAuthenticated, isAdmin, (req, res) => {
+    const validation = secretCodes.validateCode(req.body);
+    
+    if (!validation.valid) {
+        return res.status(400).json(apiError(req, 'invalid_secret_code', {
+            details: translateErrors(req, validation.errors)
+        }));
+    }
+    
+    try {
+        const { code, record } = secretCodes.createCode(req.body, req.user.id);
+        
+        logger.info('Código secreto creado', { codeId: record.id, unlocks: record.unlocks, userId: req.user.id });
+        res.status(201).json({
+            success: true,
+            // El código solo se muestra ahora: en el servidor se guarda su hash
+            code,
+            ...record
+        });
+    } catch (error) {
+        logger.error('Error al crear código', { err: error });
+        res.status(500).json(apiError(req, 'secret_code_create_failed'));
+    }
+});
+
+app.delete('/api/secret/codes/:codeId', isAuthenticated, isAdmin, (req, res) => {
+    if (!secretCodes.deleteCode(req.params.codeId)) {
+        return res.status(404).json(apiError(req, 'secret_code_not_found'));
+    }
+    
+    logger.info('Código secreto eliminado', { codeId: req.params.codeId, userId: req.user.id });
+    res.json({ success: true, id: req.params.codeId });
+});
+
 // Ruta para obtener estadísticas del bot
 app.get('/api/stats', async (req, res) => {
     try {
+        const botStats = updateBotStats();
         const stats = {
-            serverCount: botCache.guilds.length,
-            userCount: 0,
-            commandCount: 0,
+            serverCount: botStats.totalServers,
+            userCount: botStats.totalUsers,
+            commandCount: botStats.totalCommands,
+            botUptime: botStats.uptime,
             uptime: process.uptime(),
             version: '2.0.0'
         };
         
-        console.log('📊 Sirviendo estadísticas del bot');
         res.json({
             success: true,
             stats: stats,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        console.error('❌ Error en /api/stats:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Error obteniendo estadísticas' 
-        });
+        logger.error('Error en /api/stats', { err: error });
+        res.status(500).json(apiError(req, 'stats_failed'));
     }
 });
 
 // API para el juego Undertale
 app.get('/api/game/undertale', (req, res) => {
-    console.log('🎮 Sirviendo API del juego');
     res.json({
         success: true,
         game: {
@@ -304,252 +578,1531 @@ app.get('/api/game/undertale', (req, res) => {
     });
 });
 
-// Ruta para iniciar autenticación con Discord
-app.get('/auth/discord', (req, res, next) => {
-    console.log('🔑 Iniciando autenticación OAuth2 con Discord');
-    console.log('   Callback URL configurada:', FINAL_REDIRECT_URL);
-    passport.authenticate('discord')(req, res, next);
+// Partidas guardadas del juego (game/easteregg.html) en la cuenta de Discord
+app.get('/api/game/saves', isAuthenticated, requireGameUnlock, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            version: gameSaves.CURRENT_VERSION,
+            maxSlots: gameSaves.MAX_SLOTS,
+            saves: gameSaves.listSaves(req.user.id)
+        });
+    } catch (error) {
+        logger.error('Error al obtener partidas', { err: error });
+        res.status(500).json(apiError(req, 'saves_fetch_failed'));
+    }
 });
 
-// Callback de Discord OAuth2
-app.get('/auth/discord/callback',
-    (req, res, next) => {
-        console.log('🔄 Procesando callback de Discord OAuth2');
-        console.log('   URL de callback recibida:', req.url);
-        passport.authenticate('discord', { 
-            failureRedirect: `${FINAL_WEBSITE_URL}/login?error=auth_failed`
-        })(req, res, next);
-    },
-    (req, res) => {
-        console.log('✅ Autenticación exitosa para:', req.user?.username || 'usuario desconocido');
-        const redirectUrl = `${FINAL_WEBSITE_URL}/dashboard`;
-        console.log('   Redirigiendo a:', redirectUrl);
-        res.redirect(redirectUrl);
+// Ranura de partida de la URL (1..MAX_SLOTS) o respuesta 400
+function getSaveSlot(req, res) {
+    const slot = Number(req.params.slot);
+    if (!gameSaves.isValidSlot(slot)) {
+        res.status(400).json(apiError(req, 'invalid_save_slot', {}, { max: gameSaves.MAX_SLOTS }));
+        return null;
     }
-);
+    return slot;
+}
 
-// API para obtener información del usuario
-app.get('/api/user', isAuthenticated, (req, res) => {
-    console.log('👤 Sirviendo información del usuario:', req.user.username);
-    res.json({
-        success: true,
-        user: {
-            id: req.user.id,
-            username: req.user.username,
-            discriminator: req.user.discriminator,
-            avatar: req.user.avatar,
-            avatar_url: req.user.avatar_url,
-            guilds: req.user.guilds || []
+app.get('/api/game/saves/:slot', isAuthenticated, requireGameUnlock, (req, res) => {
+    const slot = getSaveSlot(req, res);
+    if (!slot) return;
+
+    try {
+        const save = gameSaves.getSave(req.user.id, slot);
+        if (!save) {
+            return res.status(404).json(apiError(req, 'save_not_found'));
         }
-    });
+
+        res.json({ success: true, slot, ...save });
+    } catch (error) {
+        logger.error('Error al obtener partida', { err: error });
+        res.status(500).json(apiError(req, 'saves_fetch_failed'));
+    }
 });
 
-// API para obtener estadísticas del bot
-app.get('/api/bot/stats', isAuthenticated, async (req, res) => {
+app.put('/api/game/saves/:slot', isAuthenticated, requireGameUnlock, (req, res) => {
+    const slot = getSaveSlot(req, res);
+    if (!slot) return;
+
+    if (gameSaves.getSaveSize(req.body) > gameSaves.MAX_SAVE_BYTES) {
+        return res.status(413).json(apiError(req, 'save_too_large', {}, {
+            max: gameSaves.MAX_SAVE_BYTES / 1024
+        }));
+    }
+
+    const validation = gameSaves.validateSave(req.body);
+    if (!validation.valid) {
+        logger.info('Partida inválida', { userId: req.user.id, errors: validation.errors.slice(0, 5) });
+        return res.status(400).json(apiError(req, 'invalid_save', {
+            details: translateErrors(req, validation.errors)
+        }));
+    }
+
     try {
-        console.log('📈 Obteniendo estadísticas del bot para:', req.user.username);
-        
-        const manageableServers = req.user.guilds?.filter(g => g.manageable).length || 0;
-        
-        await getBotGuilds();
-        
-        const stats = {
-            totalServers: botCache.guilds.length,
-            manageableServers: manageableServers,
-            totalUsers: 0,
-            uptime: 99.8,
-            commandsUsed: 0
-        };
+        const save = gameSaves.putSave(req.user.id, slot, req.body, validation.gameState);
 
-        console.log(`📊 Stats: ${stats.totalServers} servidores totales, ${stats.manageableServers} administrables`);
+        logger.info('Partida guardada', { userId: req.user.id, slot, migratedFrom: save.migratedFrom });
         res.json({
             success: true,
-            stats: stats
+            slot,
+            version: save.version,
+            timestamp: save.timestamp,
+            updatedAt: save.updatedAt,
+            migratedFrom: save.migratedFrom || null
         });
     } catch (error) {
-        console.error('❌ Error al obtener estadísticas:', error.message);
-        res.json({
-            success: true,
-            stats: {
-                totalServers: botCache.guilds.length || 0,
-                manageableServers: req.user.guilds?.filter(g => g.manageable).length || 0,
-                totalUsers: 0,
-                uptime: 99.8,
-                commandsUsed: 0
-            }
-        });
+        logger.error('Error al guardar partida', { err: error });
+        res.status(500).json(apiError(req, 'save_failed'));
     }
 });
 
-// API para obtener información de servidor específico
-app.get('/api/guild/:guildId', isAuthenticated, async (req, res) => {
+app.delete('/api/game/saves/:slot', isAuthenticated, requireGameUnlock, (req, res) => {
+    const slot = getSaveSlot(req, res);
+    if (!slot) return;
+
     try {
-        const { guildId } = req.params;
-        console.log(`🏰 Solicitando información del servidor: ${guildId}`);
-        
-        const userGuild = req.user.guilds?.find(g => g.id === guildId);
-        
-        if (!userGuild) {
-            console.log(`❌ Servidor ${guildId} no encontrado para el usuario`);
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Servidor no encontrado' 
-            });
+        if (!gameSaves.deleteSave(req.user.id, slot)) {
+            return res.status(404).json(apiError(req, 'save_not_found'));
         }
 
-        console.log(`✅ Servidor encontrado: ${userGuild.name}`);
+        logger.info('Partida borrada', { userId: req.user.id, slot });
+        res.json({ success: true, slot });
+    } catch (error) {
+        logger.error('Error al borrar partida', { err: error });
+        res.status(500).json(apiError(req, 'save_delete_failed'));
+    }
+});
+
+// Ranking del juego: el juego abre una misión al empezarla, avisa de cada hackeo o
+// guardia eliminado y la cierra al completarla
+app.post('/api/game/runs', isAuthenticated, requireGameUnlock, (req, res) => {
+    const missionId = Number(req.body?.missionId);
+    
+    if (!gameLeaderboard.isValidMission(missionId)) {
+        return res.status(400).json(apiError(req, 'invalid_run'));
+    }
+    
+    if (!gameLeaderboard.isMissionUnlocked(req.user.id, missionId)) {
+        return res.status(403).json(apiError(req, 'mission_locked'));
+    }
+    
+    try {
+        const run = gameLeaderboard.startRun(req.user.id, missionId);
         res.json({
             success: true,
-            guild: userGuild
+            runId: run.id,
+            missionId: run.missionId,
+            startedAt: new Date(run.startedAt).toISOString()
         });
     } catch (error) {
-        console.error('❌ Error al obtener información del servidor:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Error interno del servidor' 
-        });
+        logger.error('Error al empezar misión', { err: error });
+        res.status(500).json(apiError(req, 'run_start_failed'));
     }
 });
 
-// API para conectar servidor
-app.post('/api/guild/:guildId/connect', isAuthenticated, (req, res) => {
+// Evento de la misión ({ type: 'hack' | 'enemy' }), anotado con la hora del servidor
+app.post('/api/game/runs/:runId/events', isAuthenticated, requireGameUnlock, (req, res) => {
+    const run = gameLeaderboard.getRun(req.user.id, req.params.runId);
+    if (!run) {
+        return res.status(404).json(apiError(req, 'run_not_found'));
+    }
+    
+    const type = req.body?.type;
+    if (!gameLeaderboard.isValidRunEvent(type)) {
+        return res.status(400).json(apiError(req, 'invalid_run'));
+    }
+    
     try {
-        const { guildId } = req.params;
-        console.log(`🔗 Conectando al servidor: ${guildId}`);
-        
-        const userGuild = req.user.guilds?.find(g => g.id === guildId);
-        
-        if (!userGuild) {
-            console.log(`❌ Servidor ${guildId} no encontrado`);
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Servidor no encontrado' 
-            });
-        }
-        
-        if (!userGuild.manageable) {
-            console.log(`❌ Usuario no tiene permisos en el servidor ${guildId}`);
-            return res.status(403).json({ 
-                success: false, 
-                error: 'No tienes permisos en este servidor' 
-            });
+        const recorded = gameLeaderboard.recordRunEvent(req.user.id, run, type);
+        if (!recorded.valid) {
+            logger.info('Evento de misión rechazado', { userId: req.user.id, missionId: run.missionId, type, errors: recorded.errors });
+            return res.status(422).json(apiError(req, 'run_rejected', {
+                details: translateErrors(req, recorded.errors)
+            }));
         }
-
-        const loginUrl = `${FINAL_WEBSITE_URL}/login?guild_id=${guildId}&redirect=${encodeURIComponent('/dashboard')}`;
         
-        console.log(`✅ Enlace de login generado para ${guildId}`);
-        res.json({
-            success: true,
-            message: 'Redirigiendo a inicio de sesión...',
-            login_url: loginUrl
-        });
+        res.json({ success: true, type, count: recorded.run.events.filter(event => event.type === type).length });
     } catch (error) {
-        console.error('❌ Error al generar enlace:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Error al generar enlace' 
-        });
+        logger.error('Error al anotar evento de misión', { err: error });
+        res.status(500).json(apiError(req, 'run_submit_failed'));
     }
 });
 
-// Ruta para obtener enlace de login directo para un servidor
-app.get('/api/login/:guildId', isAuthenticated, (req, res) => {
+app.post('/api/game/runs/:runId/complete', isAuthenticated, requireGameUnlock, (req, res) => {
+    const run = gameLeaderboard.getRun(req.user.id, req.params.runId);
+    if (!run) {
+        return res.status(404).json(apiError(req, 'run_not_found'));
+    }
+    
+    const evaluation = gameLeaderboard.evaluateRun(run);
+    if (!evaluation.valid) {
+        logger.info('Misión rechazada', { userId: req.user.id, missionId: run.missionId, errors: evaluation.errors });
+        return res.status(422).json(apiError(req, 'run_rejected', {
+            details: translateErrors(req, evaluation.errors)
+        }));
+    }
+    
     try {
-        const { guildId } = req.params;
-        console.log(`🔗 Generando enlace de login para servidor: ${guildId}`);
+        const { improved, best } = gameLeaderboard.recordRun(req.user, run, evaluation.result);
+        const { me } = gameLeaderboard.getLeaderboard({ userId: req.user.id, limit: 0 });
         
-        const userGuild = req.user.guilds?.find(g => g.id === guildId);
+        logger.info('Misión completada', { userId: req.user.id, missionId: run.missionId, score: evaluation.result.score });
         
-        if (!userGuild) {
-            console.log(`❌ Servidor ${guildId} no encontrado`);
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Servidor no encontrado' 
+        // Rol de recompensa de los servidores del usuario (en segundo plano)
+        if (improved) {
+            gameLeaderboard.getRewardGuilds(req.user).forEach(guildId => {
+                gameLeaderboard.syncRewardRole(guildId).catch(error => {
+                    logger.error('Error actualizando rol del ranking', { guildId, err: error });
+                });
             });
         }
-
-        const loginUrl = `${FINAL_WEBSITE_URL}/login?guild_id=${guildId}&redirect=${encodeURIComponent('/dashboard')}`;
         
-        console.log(`✅ Enlace generado: ${loginUrl}`);
         res.json({
             success: true,
-            login_url: loginUrl
+            missionId: run.missionId,
+            ...evaluation.result,
+            improved,
+            best: best.score,
+            total: me.score,
+            rank: me.rank
         });
     } catch (error) {
-        console.error('❌ Error al generar enlace:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Error al generar enlace' 
-        });
+        logger.error('Error al registrar misión', { err: error });
+        res.status(500).json(apiError(req, 'run_submit_failed'));
     }
 });
 
-// Logout
-app.get('/logout', (req, res) => {
-    const username = req.user?.username || 'desconocido';
-    console.log(`👋 Usuario cerrando sesión: ${username}`);
+// Ranking global o de un servidor (?scope=global|guild&guildId=)
+app.get('/api/game/leaderboard', (req, res) => {
+    const scope = req.query.scope || 'global';
+    const guildId = typeof req.query.guildId === 'string' ? req.query.guildId : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), gameLeaderboard.MAX_LEADERBOARD_SIZE);
     
-    req.logout((err) => {
-        if (err) {
-            console.error('❌ Error al cerrar sesión:', err);
-            return res.redirect(FINAL_WEBSITE_URL);
+    if (!['global', 'guild'].includes(scope) || (scope === 'guild' && !guildId)) {
+        return res.status(400).json(apiError(req, 'invalid_leaderboard_query'));
+    }
+    
+    // El ranking de un servidor solo lo ven sus miembros
+    if (scope === 'guild') {
+        if (!req.isAuthenticated()) {
+            return res.status(401).json(apiError(req, 'unauthorized'));
+        }
+        if (!(req.user.guilds || []).some(guild => guild.id === guildId)) {
+            return res.status(404).json(apiError(req, 'guild_not_found'));
         }
+    }
+    
+    try {
+        const leaderboard = gameLeaderboard.getLeaderboard({
+            guildId: scope === 'guild' ? guildId : null,
+            limit,
+            userId: req.isAuthenticated() ? req.user.id : null
+        });
         
-        req.session.destroy((err) => {
-            if (err) {
-                console.error('❌ Error al destruir sesión:', err);
-            }
-            console.log(`✅ Sesión cerrada para ${username}`);
-            res.redirect(`${FINAL_WEBSITE_URL}/login?success=logout`);
+        res.json({
+            success: true,
+            scope,
+            guildId: scope === 'guild' ? guildId : null,
+            ...leaderboard
         });
+    } catch (error) {
+        logger.error('Error al obtener ranking', { err: error });
+        res.status(500).json(apiError(req, 'leaderboard_fetch_failed'));
+    }
+});
+
+// Ruta para iniciar autenticación con Discord
+app.get('/auth/discord', (req, res, next) => {
+    logger.debug('Iniciando autenticación OAuth2 con Discord', { callbackUrl: FINAL_REDIRECT_URL });
+    
+    // El state protege el callback contra CSRF y recuerda a dónde volver
+    const state = oauthState.createOAuthState(req.session, {
+        guildId: req.query.guild_id,
+        redirect: req.query.redirect
     });
+    passport.authenticate('discord', { state })(req, res, next);
 });
 
-// Health check
-app.get('/health', (req, res) => {
-    const healthStatus = {
-        status: 'ok',
-        service: 'cofonita-auth-backend',
-        authenticated: req.isAuthenticated(),
-        timestamp: new Date().toISOString(),
-        environment: NODE_ENV,
-        uptime: process.uptime(),
-        urls: {
+// Callback de Discord OAuth2
+app.get('/auth/discord/callback',
+    (req, res, next) => {
+        const loginState = oauthState.consumeOAuthState(req.session, req.query.state);
+        if (!loginState) {
+            logger.warn('State de OAuth2 inválido o caducado');
+            return res.redirect(`${FINAL_WEBSITE_URL}/login?error=state_invalid`);
+        }
+        res.locals.loginState = loginState;
+        
+        passport.authenticate('discord', { 
+            failureRedirect: `${FINAL_WEBSITE_URL}/login?error=auth_failed`
+        })(req, res, next);
+    },
+    (req, res) => {
+        logger.info('Inicio de sesión con Discord', { userId: req.user?.id });
+        
+        // Con secreto compartido, el dashboard pide un token de traspaso firmado
+        // para no depender de que la cookie del backend llegue a su dominio
+        const { guildId, redirect } = res.locals.loginState;
+        
+        if (HANDOFF_SECRET) {
+            const params = new URLSearchParams({ redirect });
+            if (guildId) params.set('guild_id', guildId);
+            logger.debug('Redirigiendo al dashboard para el traspaso de sesión');
+            return res.redirect(`${FINAL_DASHBOARD_URL}/auth/login?${params}`);
+        }
+        
+        const redirectUrl = oauthState.buildRedirectUrl(FINAL_WEBSITE_URL, { guildId, redirect });
+        logger.debug('Redirigiendo tras el inicio de sesión', { redirectUrl });
+        res.redirect(redirectUrl);
+    }
+);
+
+// Comandos de barra del bot y, antes de cada uno, los ajustes del panel
+// (desactivado o limitado a canales/roles)
+registerBotCommands();
+interactions.registerGuard(commands.checkCommandAllowed);
+
+// Interacciones de Discord (comandos, botones y modales) por HTTP
+app.post('/interactions', async (req, res) => {
+    if (!DISCORD_PUBLIC_KEY) {
+        return res.status(503).json(apiError(req, 'interactions_unavailable'));
+    }
+    
+    const valid = interactions.verifyInteractionSignature({
+        body: req.rawBody,
+        signature: req.get('X-Signature-Ed25519'),
+        timestamp: req.get('X-Signature-Timestamp'),
+        publicKey: DISCORD_PUBLIC_KEY
+    });
+    
+    // Discord prueba el endpoint con firmas inválidas y espera un 401
+    if (!valid) {
+        logger.warn('Firma de interacción inválida');
+        return res.status(401).json(apiError(req, 'invalid_signature'));
+    }
+    
+    try {
+        const response = await interactions.handleInteraction(req.body);
+        res.json(response);
+    } catch (error) {
+        logger.error('Error procesando interacción', { err: error });
+        res.status(500).json(apiError(req, 'interaction_failed'));
+    }
+});
+
+// Vuelta de Discord tras invitar al bot: confirmar que está dentro y actualizar el cache
+app.get('/auth/discord/install/callback', async (req, res) => {
+    const failInstall = (code) => res.redirect(`${FINAL_DASHBOARD_URL}/dashboard?install_error=${code}`);
+    
+    const install = botInvite.consumeInstallState(req.query.state);
+    if (!install) {
+        logger.warn('State de instalación inválido o caducado');
+        return failInstall('install_invalid');
+    }
+    
+    const { userId, guildId } = install;
+    
+    if (req.query.error) {
+        logger.info('Instalación cancelada', { guildId, reason: req.query.error });
+        return failInstall('install_cancelled');
+    }
+    
+    // Con disable_guild_select Discord no deja cambiar de servidor, pero por si acaso
+    if (req.query.guild_id && req.query.guild_id !== guildId) {
+        logger.warn('Discord devolvió otro servidor en la instalación', { guildId, returnedGuildId: req.query.guild_id });
+        return failInstall('install_invalid');
+    }
+    
+    try {
+        await botRequest('get', `/guilds/${guildId}`);
+    } catch (error) {
+        logger.error('No se pudo confirmar el bot en el servidor', { guildId, err: error });
+        return failInstall('install_unconfirmed');
+    }
+    
+    logger.info('Bot instalado', { guildId, userId });
+    
+    // Recargar la lista del bot ya (avisa de guild.bot_joined) en vez de esperar al cache
+    botCache.stale = true;
+    getBotGuilds().catch(() => []);
+    
+    // El perfil guardado es el mismo objeto que req.user en las sesiones del usuario
+    const profile = userProfiles.getProfile(userId);
+    const guild = profile?.guilds?.find(g => g.id === guildId);
+    if (guild) {
+        guild.bot_installed = true;
+        userProfiles.saveProfile(profile);
+    }
+    
+    res.redirect(`${FINAL_DASHBOARD_URL}/auth/install/complete?${new URLSearchParams({ guild_id: guildId })}`);
+});
+
+// Token de traspaso para el dashboard, ligado al nonce que guardó en su sesión
+// (llega solo su hash). El navegador vuelve al dashboard con el token.
+app.get('/auth/handoff', (req, res) => {
+    const guildId = oauthState.sanitizeGuildId(req.query.guild_id);
+    const redirect = oauthState.sanitizeRedirect(req.query.redirect);
+    
+    if (!HANDOFF_SECRET) {
+        return res.redirect(`${FINAL_WEBSITE_URL}/login?error=handoff_unavailable`);
+    }
+    if (!req.isAuthenticated()) {
+        return res.redirect(oauthState.buildLoginUrl(FINAL_WEBSITE_URL, { guildId, redirect }));
+    }
+    if (!isNonceHash(req.query.nonce)) {
+        logger.warn('Traspaso pedido sin nonce válido', { userId: req.user.id });
+        return res.redirect(`${FINAL_WEBSITE_URL}/login?error=handoff_invalid`);
+    }
+    
+    const token = createHandoffToken(req.user.id, HANDOFF_SECRET, req.query.nonce);
+    const params = new URLSearchParams({ token, redirect });
+    if (guildId) params.set('guild_id', guildId);
+    logger.debug('Redirigiendo al dashboard con token de traspaso', { userId: req.user.id });
+    res.redirect(`${FINAL_DASHBOARD_URL}/auth/handoff?${params}`);
+});
+
+// Canjear un token de traspaso por una sesión del backend (lo llama dashboard-server
+// con el nonce de su sesión)
+app.post('/api/auth/handoff', (req, res) => {
+    if (!HANDOFF_SECRET) {
+        return res.status(503).json(apiError(req, 'handoff_unavailable'));
+    }
+    
+    let payload;
+    try {
+        payload = verifyHandoffToken(req.body?.token, HANDOFF_SECRET, { consume: true, nonce: req.body?.nonce });
+    } catch (error) {
+        logger.warn('Token de traspaso rechazado', { reason: error.code || error.message });
+        return res.status(401).json(apiError(req, error.code || 'handoff_invalid'));
+    }
+    
+    const profile = userProfiles.getProfile(payload.sub);
+    if (!profile) {
+        logger.warn('Perfil no encontrado para el token de traspaso');
+        return res.status(401).json(apiError(req, 'handoff_invalid'));
+    }
+    
+    req.login(profile, (err) => {
+        if (err) {
+            logger.error('Error al crear sesión de traspaso', { err });
+            return res.status(500).json(apiError(req, 'session_failed'));
+        }
+        
+        logger.info('Token de traspaso canjeado', { userId: profile.id });
+        res.json({
+            success: true,
+            user: {
+                id: profile.id,
+                username: profile.username,
+                discriminator: profile.discriminator,
+                avatar: profile.avatar,
+                avatar_url: profile.avatar_url,
+                is_admin: ADMIN_IDS.includes(profile.id),
+                locale: userPreferences.getPreferences(profile.id).locale,
+                unlocks: secretCodes.getUnlocks(profile.id),
+                guilds: profile.guilds || []
+            }
+        });
+    });
+});
+
+// API para obtener información del usuario
+app.get('/api/user', isAuthenticated, (req, res) => {
+    res.json({
+        success: true,
+        user: {
+            id: req.user.id,
+            username: req.user.username,
+            discriminator: req.user.discriminator,
+            avatar: req.user.avatar,
+            avatar_url: req.user.avatar_url,
+            is_admin: ADMIN_IDS.includes(req.user.id),
+            locale: userPreferences.getPreferences(req.user.id).locale,
+            unlocks: secretCodes.getUnlocks(req.user.id),
+            guilds: req.user.guilds || []
+        }
+    });
+});
+
+// Idioma preferido del usuario (null = automático)
+app.put('/api/user/locale', isAuthenticated, (req, res) => {
+    const locale = req.body?.locale ?? null;
+    
+    if (!userPreferences.isValidLocale(locale)) {
+        return res.status(400).json(apiError(req, 'invalid_locale'));
+    }
+    
+    try {
+        userPreferences.setLocale(req.user.id, locale);
+        logger.info('Idioma actualizado', { userId: req.user.id, locale });
+        res.json({
+            success: true,
+            locale,
+            // Idioma que se usará a partir de ahora con la preferencia aplicada
+            resolved: req.locale
+        });
+    } catch (error) {
+        logger.error('Error al guardar preferencias', { err: error });
+        res.status(500).json(apiError(req, 'preferences_save_failed'));
+    }
+});
+
+// Volver a sincronizar los servidores del usuario con Discord
+app.post('/api/user/guilds/refresh', isAuthenticated, async (req, res) => {
+    try {
+        const refreshed = await discordOAuth.ensureFreshToken(req.user, {
+            clientId: CLIENT_ID,
+            clientSecret: DISCORD_CLIENT_SECRET
+        });
+        if (refreshed) {
+            logger.debug('Token de Discord renovado', { userId: req.user.id });
+        }
+        
+        const [userGuilds, botGuilds] = await Promise.all([
+            discordOAuth.fetchUserGuilds(req.user.accessToken),
+            getBotGuilds({ force: true })
+        ]);
+        
+        req.user.guilds = await enrichGuilds(userGuilds, botGuilds, req.user.id);
+        userProfiles.saveProfile(req.user);
+        
+        logger.info('Servidores sincronizados', { userId: req.user.id, guilds: req.user.guilds.length });
+        res.json({
+            success: true,
+            user: {
+                id: req.user.id,
+                username: req.user.username,
+                discriminator: req.user.discriminator,
+                avatar: req.user.avatar,
+                avatar_url: req.user.avatar_url,
+                is_admin: ADMIN_IDS.includes(req.user.id),
+                locale: userPreferences.getPreferences(req.user.id).locale,
+                unlocks: secretCodes.getUnlocks(req.user.id),
+                guilds: req.user.guilds
+            }
+        });
+    } catch (error) {
+        logger.error('Error al resincronizar servidores', { err: error });
+        
+        if (error instanceof DiscordRateLimitError) {
+            return res.status(429).json(apiError(req, 'discord_rate_limited', {
+                retryAfter: error.retryAfter
+            }));
+        }
+        
+        // Token revocado o refresh token inválido: hay que volver a iniciar sesión
+        const status = error.response?.status;
+        if (status === 400 || status === 401) {
+            return res.status(401).json(apiError(req, 'discord_session_expired'));
+        }
+        
+        res.status(502).json(apiError(req, 'guild_sync_failed'));
+    }
+});
+
+// Intervalo de los comentarios que mantienen abierta la conexión SSE tras proxies
+const SSE_KEEPALIVE_INTERVAL = 25000;
+
+// ¿Le interesa el evento a este usuario? Globales del bot, o de sus servidores con acceso.
+// Los cambios de configuración propios no se reenvían: ya los tiene en pantalla.
+function isEventForUser(event, user) {
+    if (!event.guildId) return event.type === 'stats.updated';
+    
+    const guild = user.guilds?.find(g => g.id === event.guildId);
+    if (!guild || !guild.access_level) return false;
+    
+    // Los cambios propios ya los ve en su pantalla (se compara el ID: el nombre se repite)
+    return !(event.type === 'config.changed' && event.data.updatedById === user.id);
+}
+
+// Eventos en vivo para el panel (Server-Sent Events). Con Last-Event-ID se reenvía
+// lo que el cliente se perdió mientras estaba desconectado.
+app.get('/api/events', isAuthenticated, (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    
+    const send = (event) => {
+        // El perfil guardado también debe saber si el bot sigue en el servidor
+        if (event.type === 'guild.bot_joined' || event.type === 'guild.bot_left') {
+            const guild = req.user.guilds?.find(g => g.id === event.guildId);
+            if (guild) {
+                guild.bot_installed = event.type === 'guild.bot_joined';
+                userProfiles.saveProfile(req.user);
+            }
+        }
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+        const missed = getEventsSince(lastEventId);
+        if (missed === null) {
+            // Demasiado tiempo desconectado: que el cliente lo recargue todo
+            res.write('event: reset\ndata: {}\n\n');
+        } else {
+            missed.filter(event => isEventForUser(event, req.user)).forEach(send);
+        }
+    }
+    
+    const unsubscribe = onEvent(event => {
+        if (isEventForUser(event, req.user)) send(event);
+    });
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), SSE_KEEPALIVE_INTERVAL);
+    
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+    });
+});
+
+// API para obtener estadísticas del bot
+app.get('/api/bot/stats', isAuthenticated, async (req, res) => {
+    try {
+        const manageableServers = req.user.guilds?.filter(g => g.access_level).length || 0;
+        
+        await getBotGuilds().catch(() => []);
+        const botStats = updateBotStats();
+        
+        const stats = {
+            totalServers: botStats.totalServers,
+            manageableServers: manageableServers,
+            totalUsers: botStats.totalUsers,
+            uptime: botStats.uptime,
+            commandsUsed: botStats.totalCommands
+        };
+
+        logger.debug('Estadísticas del bot', { totalServers: stats.totalServers, manageableServers: stats.manageableServers });
+        res.json({
+            success: true,
+            stats: stats
+        });
+    } catch (error) {
+        logger.error('Error al obtener estadísticas', { err: error });
+        res.json({
+            success: true,
+            stats: {
+                totalServers: botCache.stats.totalServers || botCache.guilds.length || 0,
+                manageableServers: req.user.guilds?.filter(g => g.access_level).length || 0,
+                totalUsers: botCache.stats.totalUsers,
+                uptime: botCache.stats.uptime,
+                commandsUsed: botCache.stats.totalCommands
+            }
+        });
+    }
+});
+
+// Telemetría enviada por el bot: miembros por servidor, comandos y latido
+app.post('/api/bot/telemetry', isBot, (req, res) => {
+    try {
+        const validation = telemetry.validateTelemetry(req.body);
+        
+        if (!validation.valid) {
+            logger.warn('Telemetría inválida', { errors: validation.errors });
+            return res.status(400).json(apiError(req, 'invalid_telemetry', {
+                details: translateErrors(req, validation.errors)
+            }));
+        }
+        
+        telemetry.recordTelemetry(req.body);
+        const stats = updateBotStats();
+        // Solo para el panel en vivo: no está en EVENT_TYPES, no se notifica por webhook
+        emitEvent('stats.updated', null, {
+            totalServers: stats.totalServers,
+            totalUsers: stats.totalUsers,
+            uptime: stats.uptime,
+            commandsUsed: stats.totalCommands
+        });
+        
+        logger.debug('Telemetría recibida', { totalServers: stats.totalServers, totalUsers: stats.totalUsers });
+        res.json({
+            success: true,
+            stats: stats,
+            nextHeartbeatIn: telemetry.HEARTBEAT_INTERVAL
+        });
+    } catch (error) {
+        logger.error('Error al guardar telemetría', { err: error });
+        res.status(500).json(apiError(req, 'telemetry_save_failed'));
+    }
+});
+
+// API para obtener información de servidor específico.
+// Con el bot dentro, details trae los datos en vivo de Discord.
+app.get('/api/guild/:guildId', isAuthenticated, requireGuildAccess('viewer'), async (req, res) => {
+    try {
+        const { guildId } = req.params;
+        
+        const details = req.guild.bot_installed
+            ? await guildDetails.getGuildDetails(guildId)
+            : null;
+        
+        res.json({
+            success: true,
+            guild: req.guild,
+            access: req.guildAccess,
+            details
+        });
+    } catch (error) {
+        logger.error('Error al obtener información del servidor', { guildId: req.params.guildId, err: error });
+        const { status, code } = describeDiscordError(error);
+        res.status(status).json(apiError(req, code));
+    }
+});
+
+// API para conectar servidor: enlace de invitación del bot con el servidor fijado
+app.post('/api/guild/:guildId/connect', isAuthenticated, requireGuildAccess('manager'), (req, res) => {
+    try {
+        const { guildId } = req.params;
+
+        const inviteUrl = botInvite.buildInviteUrl({
+            clientId: CLIENT_ID,
+            guildId,
+            permissions: config.botPermissions,
+            redirectUri: config.installRedirectUrl,
+            state: botInvite.createInstallState(req.user.id, guildId)
+        });
+        
+        logger.info('Enlace de invitación generado', { guildId, userId: req.user.id });
+        res.json({
+            success: true,
+            message: req.t('messages.redirecting_to_discord'),
+            invite_url: inviteUrl
+        });
+    } catch (error) {
+        logger.error('Error al generar enlace de invitación', { err: error });
+        res.status(500).json(apiError(req, 'invite_failed'));
+    }
+});
+
+// Rol del usuario en el panel de un servidor (lo consulta dashboard-server)
+app.get('/api/guild/:guildId/access', isAuthenticated, async (req, res) => {
+    const { guildId } = req.params;
+    const guild = req.user.guilds?.find(g => g.id === guildId);
+    
+    if (!guild) {
+        return res.status(404).json(apiError(req, 'guild_not_found'));
+    }
+    
+    try {
+        const access = await permissions.resolveGuildAccess(guild, req.user.id, {
+            resolveRoles: guild.bot_installed
+        });
+        res.json({
+            success: true,
+            guildId,
+            access,
+            // dashboard-server lo usa para elegir el idioma de sus páginas
+            language: guildConfig.getConfiguredLanguage(guildId)
+        });
+    } catch (error) {
+        logger.error('Error al resolver permisos', { err: error });
+        res.status(500).json(apiError(req, 'access_check_failed'));
+    }
+});
+
+// Roles del panel concedidos a usuarios o roles de Discord.
+// Solo quien tiene acceso propio de Discord puede cambiarlos (evita escaladas).
+app.get('/api/guild/:guildId/permissions', isAuthenticated, requireGuildAccess('manager'), (req, res) => {
+    const { guildId } = req.params;
+    res.json({
+        success: true,
+        guildId,
+        roles: permissions.DASHBOARD_ROLES,
+        grants: permissions.getGrants(guildId),
+        access: req.guildAccess
+    });
+});
+
+app.post('/api/guild/:guildId/permissions', isAuthenticated, requireGuildAccess('manager', { nativeOnly: true }), (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const validation = permissions.validateGrant(req.body);
+        
+        if (!validation.valid) {
+            return res.status(400).json(apiError(req, 'invalid_grant', {
+                details: translateErrors(req, validation.errors)
+            }));
+        }
+        
+        const grant = permissions.setGrant(guildId, req.body, req.user.id);
+        
+        logger.info('Permiso concedido', { guildId, role: grant.role, targetType: grant.type, targetId: grant.targetId, userId: req.user.id });
+        res.status(201).json({
+            success: true,
+            grant
+        });
+    } catch (error) {
+        logger.error('Error al conceder permiso', { err: error });
+        res.status(error.status || 500).json(error.status
+            ? apiError(req, error.code, {}, error.params)
+            : apiError(req, 'grant_failed'));
+    }
+});
+
+app.delete('/api/guild/:guildId/permissions/:grantId', isAuthenticated, requireGuildAccess('manager', { nativeOnly: true }), (req, res) => {
+    const { guildId, grantId } = req.params;
+    
+    if (!permissions.deleteGrant(guildId, grantId)) {
+        return res.status(404).json(apiError(req, 'grant_not_found'));
+    }
+    
+    logger.info('Permiso retirado', { guildId, grantId, userId: req.user.id });
+    res.json({ success: true });
+});
+
+// Comandos de barra del bot en un servidor, con los ajustes del panel
+app.get('/api/guild/:guildId/commands', isAuthenticated, requireGuildAccess('viewer'), async (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const [registered, channels, roles] = await Promise.all([
+            commands.listApplicationCommands(CLIENT_ID, guildId),
+            botRequest('get', `/guilds/${guildId}/channels`),
+            members.getGuildRoles(guildId)
+        ]);
+        
+        res.json({
+            success: true,
+            guildId,
+            commands: [
+                ...commands.mergeSettings(guildId, registered.global, 'global'),
+                ...commands.mergeSettings(guildId, registered.guild, 'guild')
+            ],
+            // Opciones para las restricciones: canales de texto y roles del servidor
+            channels: channels
+                .filter(channel => [0, 5].includes(channel.type))
+                .sort((a, b) => a.position - b.position)
+                .map(channel => ({ id: channel.id, name: channel.name })),
+            roles: roles
+                .filter(role => role.id !== guildId && !role.managed)
+                .map(role => ({ id: role.id, name: role.name, color: role.color }))
+        });
+    } catch (error) {
+        logger.error('Error al obtener comandos', { err: error });
+        const { status, code } = describeDiscordError(error);
+        res.status(status).json(apiError(req, code));
+    }
+});
+
+// Activar, desactivar o limitar un comando a canales o roles en un servidor
+app.patch('/api/guild/:guildId/commands/:name', isAuthenticated, requireGuildAccess('manager'), async (req, res) => {
+    try {
+        const { guildId, name } = req.params;
+        // Solo se guardan ajustes de comandos que existen en el servidor
+        const registered = await commands.listApplicationCommands(CLIENT_ID, guildId);
+        const knownNames = [...registered.global, ...registered.guild].map(command => command.name);
+        const validation = commands.validateCommandSettings(name, req.body, knownNames);
+        
+        if (!validation.valid) {
+            return res.status(400).json(apiError(req, 'invalid_command_settings', {
+                details: translateErrors(req, validation.errors)
+            }));
+        }
+        
+        const settings = commands.updateCommandSettings(guildId, name, req.body, req.user.id);
+        
+        logger.info('Comando actualizado', { guildId, command: name, userId: req.user.id });
+        res.json({
+            success: true,
+            name,
+            settings
+        });
+    } catch (error) {
+        logger.error('Error al actualizar comando', { err: error });
+        const { status, code } = describeDiscordError(error);
+        res.status(status).json(apiError(req, code));
+    }
+});
+
+// Sincronizar las definiciones de comandos con Discord. Por defecto solo muestra
+// el diff; hay que enviar { "dryRun": false } para aplicarlo.
+app.post('/api/commands/sync', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const dryRun = req.body?.dryRun !== false;
+        const result = await commands.syncCommands(CLIENT_ID, { dryRun });
+        
+        if (result.applied) {
+            logger.info('Comandos globales sincronizados', { userId: req.user.id });
+        }
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error al sincronizar comandos', { err: error });
+        const { status, code } = describeDiscordError(error);
+        res.status(status).json(apiError(req, code));
+    }
+});
+
+// API de configuración persistente del servidor
+app.get('/api/guild/:guildId/config', isAuthenticated, requireGuildAccess('viewer'), (req, res) => {
+    try {
+        const { guildId } = req.params;
+        
+        res.json({
+            success: true,
+            guildId,
+            ...guildConfig.getGuildConfig(guildId)
+        });
+    } catch (error) {
+        logger.error('Error al obtener configuración', { err: error });
+        res.status(500).json(apiError(req, 'config_fetch_failed'));
+    }
+});
+
+// El canal de logs tiene que ser un canal de texto de este servidor: guild-config
+// solo valida el formato del ID, la pertenencia se comprueba con el bot
+async function validateLogChannel(guildId, channelId) {
+    if (!channelId) return [];
+    
+    const channels = await botRequest('get', `/guilds/${guildId}/channels`);
+    const found = channels.some(channel => channel.id === channelId && [0, 5].includes(channel.type));
+    return found ? [] : [{ code: 'log_channel_unknown', params: { field: 'logChannelId' } }];
+}
+
+function saveGuildConfig(partial) {
+    return async (req, res) => {
+        try {
+            const { guildId } = req.params;
+            const validation = guildConfig.validateConfig(req.body, { partial });
+            
+            if (!validation.valid) {
+                logger.info('Configuración inválida', { guildId, errors: validation.errors });
+                return res.status(400).json(apiError(req, 'invalid_config', {
+                    details: translateErrors(req, validation.errors)
+                }));
+            }
+            
+            let channelErrors;
+            try {
+                channelErrors = await validateLogChannel(guildId, req.body.logChannelId);
+            } catch (error) {
+                logger.error('Error al comprobar el canal de logs', { guildId, err: error });
+                const { status, code } = describeDiscordError(error);
+                return res.status(status).json(apiError(req, code));
+            }
+            if (channelErrors.length > 0) {
+                logger.info('Canal de logs de otro servidor', { guildId, channelId: req.body.logChannelId });
+                return res.status(400).json(apiError(req, 'invalid_config', {
+                    details: translateErrors(req, channelErrors)
+                }));
+            }
+            
+            const record = partial
+                ? guildConfig.updateGuildConfig(guildId, req.body, req.user.id)
+                : guildConfig.setGuildConfig(guildId, req.body, req.user.id);
+            
+            emitEvent('config.changed', guildId, {
+                guildId,
+                updatedBy: req.user.username,
+                updatedById: req.user.id,
+                fields: Object.keys(req.body).join(', ')
+            });
+            
+            logger.info('Configuración guardada', { guildId, userId: req.user.id });
+            res.json({
+                success: true,
+                guildId,
+                ...record
+            });
+        } catch (error) {
+            logger.error('Error al guardar configuración', { err: error });
+            res.status(500).json(apiError(req, 'config_save_failed'));
+        }
+    };
+}
+
+app.put('/api/guild/:guildId/config', isAuthenticated, requireGuildAccess('manager'), saveGuildConfig(false));
+app.patch('/api/guild/:guildId/config', isAuthenticated, requireGuildAccess('manager'), saveGuildConfig(true));
+
+// Copias de seguridad de la configuración
+app.get('/api/guild/:guildId/backups', isAuthenticated, requireGuildAccess('viewer'), (req, res) => {
+    const { guildId } = req.params;
+    res.json({
+        success: true,
+        guildId,
+        limit: configBackups.BACKUP_LIMIT,
+        backups: configBackups.listSnapshots(guildId)
+    });
+});
+
+// Diferencias entre dos versiones ("current" = configuración actual)
+app.get('/api/guild/:guildId/backups/diff', isAuthenticated, requireGuildAccess('viewer'), (req, res) => {
+    const { guildId } = req.params;
+    
+    const resolve = (value) => {
+        if (value === 'current') return guildConfig.getGuildConfig(guildId).config;
+        const snapshot = configBackups.getSnapshot(guildId, parseInt(value, 10));
+        return snapshot ? snapshot.config : null;
+    };
+    
+    const from = resolve(req.query.from);
+    const to = resolve(req.query.to || 'current');
+    
+    if (!from || !to) {
+        return res.status(404).json(apiError(req, 'version_not_found'));
+    }
+    
+    res.json({
+        success: true,
+        guildId,
+        from: req.query.from,
+        to: req.query.to || 'current',
+        changes: configBackups.diffConfigs(from, to)
+    });
+});
+
+app.get('/api/guild/:guildId/backups/export', isAuthenticated, requireGuildAccess('manager'), (req, res) => {
+    const { guildId } = req.params;
+    const { config } = guildConfig.getGuildConfig(guildId);
+    
+    logger.info('Configuración exportada', { guildId, userId: req.user.id });
+    res.setHeader('Content-Disposition', `attachment; filename="cofonita-config-${guildId}.json"`);
+    res.json(configBackups.buildExport(guildId, config));
+});
+
+app.post('/api/guild/:guildId/backups/import', isAuthenticated, requireGuildAccess('manager'), async (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const parsed = configBackups.parseImport(req.body);
+        
+        if (parsed.error) {
+            return res.status(400).json(apiError(req, parsed.error, {}, parsed.params));
+        }
+        
+        const validation = guildConfig.validateConfig(parsed.config);
+        if (!validation.valid) {
+            return res.status(400).json(apiError(req, 'invalid_config', {
+                details: translateErrors(req, validation.errors)
+            }));
+        }
+        
+        // Una copia puede venir de otro servidor: su canal de logs no vale aquí
+        let channelErrors;
+        try {
+            channelErrors = await validateLogChannel(guildId, parsed.config.logChannelId);
+        } catch (error) {
+            logger.error('Error al comprobar el canal de logs', { guildId, err: error });
+            const { status, code } = describeDiscordError(error);
+            return res.status(status).json(apiError(req, code));
+        }
+        if (channelErrors.length > 0) {
+            return res.status(400).json(apiError(req, 'invalid_config', {
+                details: translateErrors(req, channelErrors)
+            }));
+        }
+        
+        const record = guildConfig.setGuildConfig(guildId, parsed.config, req.user.id, 'import');
+        emitEvent('config.changed', guildId, { guildId, updatedBy: req.user.username, updatedById: req.user.id, fields: 'import' });
+        
+        logger.info('Configuración importada', { guildId, userId: req.user.id });
+        res.json({
+            success: true,
+            guildId,
+            ...record
+        });
+    } catch (error) {
+        logger.error('Error al importar configuración', { err: error });
+        res.status(500).json(apiError(req, 'config_import_failed'));
+    }
+});
+
+app.post('/api/guild/:guildId/backups/:version/restore', isAuthenticated, requireGuildAccess('manager'), (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const version = parseInt(req.params.version, 10);
+        const snapshot = configBackups.getSnapshot(guildId, version);
+        
+        if (!snapshot) {
+            return res.status(404).json(apiError(req, 'version_not_found'));
+        }
+        
+        const record = guildConfig.setGuildConfig(guildId, snapshot.config, req.user.id, 'restore');
+        emitEvent('config.changed', guildId, { guildId, updatedBy: req.user.username, updatedById: req.user.id, fields: `restore v${version}` });
+        
+        logger.info('Configuración restaurada', { guildId, version, userId: req.user.id });
+        res.json({
+            success: true,
+            guildId,
+            restoredVersion: version,
+            ...record
+        });
+    } catch (error) {
+        logger.error('Error al restaurar configuración', { err: error });
+        res.status(500).json(apiError(req, 'config_restore_failed'));
+    }
+});
+
+// Analíticas del servidor por horas o días
+app.get('/api/guild/:guildId/analytics', isAuthenticated, requireGuildAccess('viewer'), (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const query = analytics.parseQuery(req.query);
+        
+        if (query.errors.length > 0) {
+            return res.status(400).json(apiError(req, 'invalid_analytics_query', {
+                details: translateErrors(req, query.errors)
+            }));
+        }
+        
+        res.json({
+            success: true,
+            guildId,
+            resolution: query.resolution,
+            from: new Date(query.from).toISOString(),
+            to: new Date(query.to).toISOString(),
+            metrics: analytics.getGuildAnalytics(guildId, query)
+        });
+    } catch (error) {
+        logger.error('Error al obtener analíticas', { err: error });
+        res.status(500).json(apiError(req, 'analytics_failed'));
+    }
+});
+
+// Registro de sanciones del servidor
+app.get('/api/guild/:guildId/cases', isAuthenticated, requireGuildAccess('moderator'), (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const { userId, type, q, limit } = req.query;
+        
+        res.json({
+            success: true,
+            guildId,
+            cases: moderation.listCases(guildId, { userId, type, q, limit })
+        });
+    } catch (error) {
+        logger.error('Error al obtener sanciones', { err: error });
+        res.status(500).json(apiError(req, 'cases_fetch_failed'));
+    }
+});
+
+app.post('/api/guild/:guildId/cases', isAuthenticated, requireGuildAccess('moderator'), async (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const validation = moderation.validateCase(req.body);
+        
+        if (!validation.valid) {
+            return res.status(400).json(apiError(req, 'invalid_case', {
+                details: translateErrors(req, validation.errors)
+            }));
+        }
+        
+        const modCase = await moderation.createCase(guildId, req.body, req.user);
+        emitEvent('moderation.case_created', guildId, {
+            caseNumber: modCase.caseNumber,
+            type: modCase.type,
+            targetId: modCase.targetId,
+            moderator: modCase.moderatorName,
+            reason: modCase.reason,
+            expiresAt: modCase.expiresAt
+        });
+        
+        logger.info('Sanción aplicada', { guildId, caseNumber: modCase.caseNumber, type: modCase.type, userId: req.user.id });
+        res.status(201).json({
+            success: true,
+            case: modCase
+        });
+    } catch (error) {
+        logger.error('Error al aplicar sanción', { err: error });
+        
+        if (error instanceof members.HierarchyError) {
+            return res.status(error.status).json(apiError(req, error.code));
+        }
+        
+        const { status, code } = describeDiscordError(error);
+        res.status(status).json(apiError(req, code));
+    }
+});
+
+app.patch('/api/guild/:guildId/cases/:caseNumber', isAuthenticated, requireGuildAccess('moderator'), (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const caseNumber = parseInt(req.params.caseNumber, 10);
+        const { reason } = req.body || {};
+        
+        if (typeof reason !== 'string' || reason.length > 512) {
+            return res.status(400).json(apiError(req, 'invalid_case_reason'));
+        }
+        
+        const modCase = moderation.updateCaseReason(guildId, caseNumber, reason);
+        if (!modCase) {
+            return res.status(404).json(apiError(req, 'case_not_found'));
+        }
+        
+        logger.info('Motivo de sanción editado', { guildId, caseNumber, userId: req.user.id });
+        res.json({
+            success: true,
+            case: modCase
+        });
+    } catch (error) {
+        logger.error('Error al editar sanción', { err: error });
+        res.status(500).json(apiError(req, 'case_update_failed'));
+    }
+});
+
+app.delete('/api/guild/:guildId/cases/:caseNumber', isAuthenticated, requireGuildAccess('moderator'), async (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const caseNumber = parseInt(req.params.caseNumber, 10);
+        
+        const modCase = await moderation.pardonCase(guildId, caseNumber, req.user);
+        if (!modCase) {
+            return res.status(404).json(apiError(req, 'case_not_found'));
+        }
+        
+        logger.info('Sanción perdonada', { guildId, caseNumber, userId: req.user.id });
+        res.json({
+            success: true,
+            case: modCase
+        });
+    } catch (error) {
+        logger.error('Error al perdonar sanción', { err: error });
+        const { status, code } = describeDiscordError(error);
+        res.status(status).json(apiError(req, code));
+    }
+});
+
+// Roles del servidor, marcando los que el usuario puede asignar
+app.get('/api/guild/:guildId/roles', isAuthenticated, requireGuildAccess('moderator'), async (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const hierarchy = await members.getHierarchy(guildId, req.user.id, req.guild.owner);
+        
+        res.json({
+            success: true,
+            guildId,
+            roles: hierarchy.roles.map(role => members.serializeRole(role, hierarchy, guildId))
+        });
+    } catch (error) {
+        logger.error('Error al obtener roles', { err: error });
+        const { status, code } = describeDiscordError(error);
+        res.status(status).json(apiError(req, code));
+    }
+});
+
+// Buscar miembros del servidor
+app.get('/api/guild/:guildId/members', isAuthenticated, requireGuildAccess('moderator'), async (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const query = typeof req.query.query === 'string' ? req.query.query.trim() : '';
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+        
+        const results = await members.searchMembers(guildId, query, limit);
+        
+        res.json({
+            success: true,
+            guildId,
+            members: results.map(members.serializeMember)
+        });
+    } catch (error) {
+        logger.error('Error al buscar miembros', { err: error });
+        const { status, code } = describeDiscordError(error);
+        res.status(status).json(apiError(req, code));
+    }
+});
+
+// Añadir o quitar un rol a un miembro
+function setMemberRole(add) {
+    return async (req, res) => {
+        try {
+            const { guildId, userId, roleId } = req.params;
+            
+            if (!/^\d{17,20}$/.test(userId) || !/^\d{17,20}$/.test(roleId)) {
+                return res.status(400).json(apiError(req, 'invalid_member_role'));
+            }
+            
+            const role = await members.setMemberRole(guildId, userId, roleId, {
+                add,
+                actor: req.user,
+                isOwner: req.guild.owner
+            });
+            
+            logger.info(add ? 'Rol añadido' : 'Rol quitado', { guildId, roleId: role.id, memberId: userId, userId: req.user.id });
+            res.json({
+                success: true,
+                guildId,
+                userId,
+                roleId
+            });
+        } catch (error) {
+            logger.error('Error al cambiar rol', { err: error });
+            
+            if (error instanceof members.HierarchyError || error.code === 'role_not_found') {
+                return res.status(error.status).json(apiError(req, error.code));
+            }
+            
+            const { status, code } = describeDiscordError(error);
+            res.status(status).json(apiError(req, code));
+        }
+    };
+}
+
+app.put('/api/guild/:guildId/members/:userId/roles/:roleId', isAuthenticated, requireGuildAccess('manager'), setMemberRole(true));
+app.delete('/api/guild/:guildId/members/:userId/roles/:roleId', isAuthenticated, requireGuildAccess('manager'), setMemberRole(false));
+
+// Rol de recompensa para los primeros del ranking del juego en el servidor
+app.get('/api/guild/:guildId/game/reward', isAuthenticated, requireGuildAccess('manager'), (req, res) => {
+    const { guildId } = req.params;
+    res.json({
+        success: true,
+        guildId,
+        ...gameLeaderboard.getReward(guildId)
+    });
+});
+
+// Sincronizar el rol y responder con el error de Discord o de jerarquía si falla
+async function syncGameReward(req, res, reward) {
+    const { guildId } = req.params;
+    try {
+        const synced = await gameLeaderboard.syncRewardRole(guildId);
+        logger.info('Rol del ranking sincronizado', { guildId, added: synced.added, removed: synced.removed });
+        res.json({ success: true, guildId, ...synced });
+    } catch (error) {
+        logger.error('Error al sincronizar rol del ranking', { err: error });
+        
+        if (error instanceof members.HierarchyError || error.code === 'role_not_found') {
+            return res.status(error.status).json(apiError(req, error.code, reward ? { reward } : {}));
+        }
+        
+        const { status, code } = describeDiscordError(error);
+        res.status(status).json(apiError(req, code, reward ? { reward } : {}));
+    }
+}
+
+app.put('/api/guild/:guildId/game/reward', isAuthenticated, requireGuildAccess('manager'), async (req, res) => {
+    const { guildId } = req.params;
+    const validation = gameLeaderboard.validateReward(req.body);
+    
+    if (!validation.valid) {
+        return res.status(400).json(apiError(req, 'invalid_game_reward', {
+            details: translateErrors(req, validation.errors)
+        }));
+    }
+    
+    try {
+        // El gestor solo puede elegir un rol que él mismo podría asignar
+        if (req.body.roleId) {
+            const hierarchy = await members.getHierarchy(guildId, req.user.id, req.guild.owner);
+            const role = hierarchy.roles.find(r => r.id === req.body.roleId);
+            if (!role) {
+                return res.status(404).json(apiError(req, 'role_not_found'));
+            }
+            if (!members.canManageRole(hierarchy, role, guildId)) {
+                const code = role.position >= hierarchy.botHighest ? 'role_above_bot'
+                    : role.position >= hierarchy.userHighest ? 'role_above_user'
+                        : 'role_not_assignable';
+                return res.status(403).json(apiError(req, code));
+            }
+        }
+    } catch (error) {
+        logger.error('Error comprobando rol del ranking', { err: error });
+        const { status, code } = describeDiscordError(error);
+        return res.status(status).json(apiError(req, code));
+    }
+    
+    let reward;
+    try {
+        reward = gameLeaderboard.setReward(guildId, req.body, req.user.id);
+        logger.info('Rol del ranking configurado', { guildId, roleId: reward.roleId, top: reward.top, userId: req.user.id });
+    } catch (error) {
+        logger.error('Error al guardar rol del ranking', { err: error });
+        return res.status(500).json(apiError(req, 'game_reward_save_failed'));
+    }
+    
+    await syncGameReward(req, res, reward);
+});
+
+app.post('/api/guild/:guildId/game/reward/sync', isAuthenticated, requireGuildAccess('manager'), (req, res) => {
+    syncGameReward(req, res, null);
+});
+
+// Suscripciones a notificaciones del servidor
+app.get('/api/guild/:guildId/notifications', isAuthenticated, requireGuildAccess('manager'), (req, res) => {
+    const { guildId } = req.params;
+    res.json({
+        success: true,
+        guildId,
+        subscriptions: notifications.getSubscriptions(guildId).map(notifications.serializeSubscription)
+    });
+});
+
+app.post('/api/guild/:guildId/notifications', isAuthenticated, requireGuildAccess('manager'), (req, res) => {
+    try {
+        const { guildId } = req.params;
+        const validation = notifications.validateSubscription(req.body);
+        
+        if (!validation.valid) {
+            return res.status(400).json(apiError(req, 'invalid_subscription', {
+                details: translateErrors(req, validation.errors)
+            }));
+        }
+        
+        const subscription = notifications.createSubscription(guildId, req.body, req.user.id);
+        
+        logger.info('Suscripción creada', { guildId, subscriptionId: subscription.id, userId: req.user.id });
+        // El secreto completo solo se muestra al crear la suscripción
+        res.status(201).json({
+            success: true,
+            subscription: { ...notifications.serializeSubscription(subscription), secret: subscription.secret }
+        });
+    } catch (error) {
+        logger.error('Error al crear suscripción', { err: error });
+        res.status(error.status || 500).json(error.status
+            ? apiError(req, error.code, {}, error.params)
+            : apiError(req, 'subscription_failed'));
+    }
+});
+
+app.patch('/api/guild/:guildId/notifications/:subscriptionId', isAuthenticated, requireGuildAccess('manager'), (req, res) => {
+    const { guildId, subscriptionId } = req.params;
+    const validation = notifications.validateSubscription(req.body, { partial: true });
+    
+    if (!validation.valid) {
+        return res.status(400).json(apiError(req, 'invalid_subscription', {
+            details: translateErrors(req, validation.errors)
+        }));
+    }
+    
+    const subscription = notifications.updateSubscription(guildId, subscriptionId, req.body);
+    if (!subscription) {
+        return res.status(404).json(apiError(req, 'subscription_not_found'));
+    }
+    
+    res.json({
+        success: true,
+        subscription: notifications.serializeSubscription(subscription)
+    });
+});
+
+app.delete('/api/guild/:guildId/notifications/:subscriptionId', isAuthenticated, requireGuildAccess('manager'), (req, res) => {
+    const { guildId, subscriptionId } = req.params;
+    
+    if (!notifications.deleteSubscription(guildId, subscriptionId)) {
+        return res.status(404).json(apiError(req, 'subscription_not_found'));
+    }
+    
+    logger.info('Suscripción eliminada', { guildId, subscriptionId, userId: req.user.id });
+    res.json({ success: true });
+});
+
+// Enviar un evento de prueba a una suscripción
+app.post('/api/guild/:guildId/notifications/:subscriptionId/test', isAuthenticated, requireGuildAccess('manager'), async (req, res) => {
+    const { guildId, subscriptionId } = req.params;
+    const subscription = notifications.getSubscriptions(guildId).find(s => s.id === subscriptionId);
+    
+    if (!subscription) {
+        return res.status(404).json(apiError(req, 'subscription_not_found'));
+    }
+    
+    const delivery = await notifications.deliver(guildId, subscription, {
+        id: crypto.randomUUID(),
+        type: subscription.events[0],
+        guildId,
+        timestamp: new Date().toISOString(),
+        data: { test: true, requestedBy: req.user.username }
+    });
+    
+    res.json({
+        success: true,
+        delivery
+    });
+});
+
+// Registro de entregas
+app.get('/api/guild/:guildId/notifications/deliveries', isAuthenticated, requireGuildAccess('manager'), (req, res) => {
+    const { guildId } = req.params;
+    res.json({
+        success: true,
+        guildId,
+        deliveries: notifications.getDeliveries(guildId, req.query.subscriptionId)
+    });
+});
+
+// Ruta para obtener enlace de login directo para un servidor
+app.get('/api/login/:guildId', isAuthenticated, (req, res) => {
+    try {
+        const { guildId } = req.params;
+        
+        const userGuild = req.user.guilds?.find(g => g.id === guildId);
+        
+        if (!userGuild) {
+            return res.status(404).json(apiError(req, 'guild_not_found'));
+        }
+
+        const loginUrl = oauthState.buildLoginUrl(FINAL_WEBSITE_URL, { guildId });
+        
+        res.json({
+            success: true,
+            login_url: loginUrl
+        });
+    } catch (error) {
+        logger.error('Error al generar enlace de login', { err: error });
+        res.status(500).json(apiError(req, 'invite_failed'));
+    }
+});
+
+// Logout
+app.get('/logout', (req, res) => {
+    const userId = req.user?.id;
+    
+    req.logout((err) => {
+        if (err) {
+            logger.error('Error al cerrar sesión', { err });
+            return res.redirect(FINAL_WEBSITE_URL);
+        }
+        
+        req.session.destroy((err) => {
+            if (err) {
+                logger.error('Error al destruir sesión', { err });
+            }
+            // Solo se cierra esta sesión: el perfil lo usan las demás sesiones
+            // abiertas y los datos guardados del usuario
+            logger.info('Sesión cerrada', { userId });
+            res.redirect(`${FINAL_WEBSITE_URL}/login?success=logout`);
+        });
+    });
+});
+
+// Health check
+app.get('/health', (req, res) => {
+    const healthStatus = {
+        status: 'ok',
+        service: 'cofonita-auth-backend',
+        authenticated: req.isAuthenticated(),
+        timestamp: new Date().toISOString(),
+        environment: config.profile,
+        uptime: process.uptime(),
+        urls: {
             website: FINAL_WEBSITE_URL,
             api: FINAL_API_URL,
             redirect: FINAL_REDIRECT_URL
         }
     };
 
-    console.log('🏥 Health check solicitado');
     res.json(healthStatus);
 });
 
 // Ruta de inicio de sesión
 app.get('/connect', (req, res) => {
-    const guildId = req.query.guild_id;
-    
-    let loginUrl = `${FINAL_WEBSITE_URL}/login`;
-    
-    if (guildId) {
-        loginUrl += `?guild_id=${guildId}&redirect=${encodeURIComponent('/dashboard')}`;
-    }
+    const loginUrl = oauthState.buildLoginUrl(FINAL_WEBSITE_URL, {
+        guildId: req.query.guild_id,
+        redirect: req.query.redirect
+    });
     
-    console.log(`🔗 Redirigiendo a login: ${loginUrl}`);
     res.redirect(loginUrl);
 });
 
 // Ruta para obtener enlace de login directo
 app.get('/api/login-url', (req, res) => {
-    const { guild_id } = req.query;
-    
-    let loginUrl = `${FINAL_WEBSITE_URL}/login`;
-    
-    if (guild_id) {
-        loginUrl += `?guild_id=${guild_id}&redirect=${encodeURIComponent('/dashboard')}`;
-    }
+    const loginUrl = oauthState.buildLoginUrl(FINAL_WEBSITE_URL, {
+        guildId: req.query.guild_id,
+        redirect: req.query.redirect
+    });
     
-    console.log(`🔗 Generando enlace de login: ${loginUrl}`);
     res.json({
         success: true,
         login_url: loginUrl
@@ -557,50 +2110,35 @@ app.get('/api/login-url', (req, res) => {
 });
 
 // 404 handler
-app.use((req, res) => {
-    console.log(`❌ Ruta no encontrada: ${req.path}`);
-    res.status(404).json({ 
-        error: 'Ruta no encontrada',
-        path: req.path,
+function sendNotFound(req, res) {
+    res.status(404).json(apiError(req, 'route_not_found', {
+        path: req.originalUrl.split('?')[0],
         available_routes: ['/auth/discord', '/api/user', '/api/stats', '/health', '/login', '/logout']
-    });
-});
+    }));
+}
+
+app.use(sendNotFound);
 
 // Error handler
 app.use((err, req, res, next) => {
-    console.error('❌ Error:', err.stack);
+    logger.error('Error no controlado', { err });
     
-    const errorResponse = {
-        error: 'Error interno del servidor',
-        message: NODE_ENV === 'development' ? err.message : 'Algo fue mal bro, estoy sad. Diselo a Salvox',
+    res.status(500).json(apiError(req, 'internal_error', {
+        message: config.isDevelopment ? err.message : req.t('errors.internal_error_hint'),
         timestamp: new Date().toISOString()
-    };
-    
-    res.status(500).json(errorResponse);
+    }));
 });
 
 // Iniciar servidor
 const serverPort = parseInt(PORT, 10) || 3000;
 app.listen(serverPort, '0.0.0.0', () => {
-    console.log('\n' + '='.repeat(60));
-    console.log('🚀 SERVICIO DE AUTENTICACIÓN COFONITA INICIADO');
-    console.log('='.repeat(60));
-    console.log(`📌 Entorno: ${NODE_ENV.toUpperCase()}`);
-    console.log(`🌐 Frontend (Netlify): ${FINAL_WEBSITE_URL}`);
-    console.log(`🔧 Backend (Render): ${FINAL_API_URL}`);
-    console.log(`🔐 Callback URL para Discord: ${FINAL_REDIRECT_URL}`);
-    console.log(`🔑 Iniciar autenticación: ${FINAL_API_URL}/auth/discord`);
-    console.log(`🏥 Health Check: ${FINAL_API_URL}/health`);
-    console.log(`🎮 Easter Egg: ${FINAL_API_URL}/secret`);
-    console.log('='.repeat(60));
-    console.log(`📝 Configuración de Discord Developer Portal:`);
-    console.log(`   ✅ REDIRECT_URL configurada: ${FINAL_REDIRECT_URL}`);
-    console.log('='.repeat(60));
-    console.log(`💡 URLs importantes para tu frontend:`);
-    console.log(`   • Login: ${FINAL_WEBSITE_URL}/login`);
-    console.log(`   • Dashboard: ${FINAL_WEBSITE_URL}/dashboard`);
-    console.log(`   • Iniciar sesión: ${FINAL_WEBSITE_URL}/login`);
-    console.log('='.repeat(60) + '\n');
+    logger.info('Servicio de autenticación iniciado', {
+        port: serverPort,
+        profile: config.profile,
+        websiteUrl: FINAL_WEBSITE_URL,
+        apiUrl: FINAL_API_URL,
+        redirectUrl: FINAL_REDIRECT_URL
+    });
 });
 
 
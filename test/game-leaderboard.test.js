@@ -0,0 +1,75 @@
+// Puntuaciones del ranking calculadas con los eventos y el reloj del servidor.
+// Ejecutar con: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cofonita-test-'));
+
+const { getStore } = require('../lib/json-store');
+const gameLeaderboard = require('../lib/game-leaderboard');
+
+const { MISSIONS } = gameLeaderboard;
+
+// Escribir ya lo pendiente para que no se vuelque al salir, con el directorio borrado
+test.after(() => {
+    ['game-runs', 'game-scores'].forEach(name => getStore(name).flush());
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// Misión con los eventos en los segundos indicados desde el inicio
+function playRun(userId, missionId, events) {
+    let run = gameLeaderboard.startRun(userId, missionId);
+    for (const [type, second] of events) {
+        const recorded = gameLeaderboard.recordRunEvent(userId, run, type, run.startedAt + second * 1000);
+        assert.ok(recorded.valid, recorded.errors.map(error => error.code).join(', '));
+        run = recorded.run;
+    }
+    return run;
+}
+
+test('una misión completada sin eventos anotados no puntúa', () => {
+    const run = gameLeaderboard.startRun('1', 1);
+    const evaluation = gameLeaderboard.evaluateRun(run, run.startedAt + MISSIONS[1].minDuration * 1000);
+
+    assert.strictEqual(evaluation.valid, false);
+});
+
+test('rechaza eventos más rápidos de lo posible y por encima del máximo de la misión', () => {
+    const run = playRun('2', 1, [['hack', 3]]);
+
+    assert.strictEqual(gameLeaderboard.recordRunEvent('2', run, 'hack', run.startedAt + 4000).valid, false);
+    assert.strictEqual(gameLeaderboard.recordRunEvent('2', run, 'enemy', run.startedAt + 10000).valid, false);
+
+    const full = playRun('3', 1, [['hack', 3], ['hack', 6], ['hack', 9], ['hack', 12]]);
+    assert.strictEqual(gameLeaderboard.recordRunEvent('3', full, 'hack', full.startedAt + 15000).valid, false);
+});
+
+test('la bonificación por tiempo no cuenta menos del tiempo medido ni del que piden los eventos', () => {
+    const rules = MISSIONS[1];
+    const run = playRun('4', 1, [['hack', 3], ['hack', 6], ['hack', 9]]);
+
+    assert.strictEqual(gameLeaderboard.evaluateRun(run, run.startedAt + (rules.minDuration - 1) * 1000).valid, false);
+
+    const { result } = gameLeaderboard.evaluateRun(run, run.startedAt + rules.minDuration * 1000);
+    assert.strictEqual(result.data, rules.reward + 3 * 500);
+    assert.strictEqual(result.score, result.data + (rules.parTime - rules.minDuration) * 10);
+
+    const slower = gameLeaderboard.evaluateRun(run, run.startedAt + 100 * 1000).result;
+    assert.strictEqual(slower.score, result.data + (rules.parTime - 100) * 10);
+});
+
+test('el ranking público no expone IDs de Discord y los empates comparten puesto', () => {
+    for (const [id, username] of [['5', 'cinco'], ['6', 'seis']]) {
+        const run = playRun(id, 1, [['hack', 3], ['hack', 6], ['hack', 9]]);
+        const { result } = gameLeaderboard.evaluateRun(run, run.startedAt + 60 * 1000);
+        gameLeaderboard.recordRun({ id, username, guilds: [] }, run, result);
+    }
+
+    const { entries, me } = gameLeaderboard.getLeaderboard({ userId: '6' });
+    assert.deepStrictEqual(entries.map(entry => entry.rank), [1, 1]);
+    assert.strictEqual(me.rank, 1);
+    [...entries, me].forEach(entry => assert.strictEqual(entry.userId, undefined));
+});
@@ -0,0 +1,197 @@
+// La web (Netlify), el backend (Render) y el juego con la configuración de producción:
+// el backend arranca con APP_ENV=production y las peticiones llevan el Origin de cada web.
+// Ejecutar con: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cofonita-test-'));
+
+const { getStore } = require('../lib/json-store');
+const userProfiles = require('../lib/user-profiles');
+const secretCodes = require('../lib/secret-codes');
+const { loadConfig } = require('../lib/config');
+
+const { websiteUrl: WEBSITE_URL, apiUrl: API_URL } = loadConfig({ APP_ENV: 'production' });
+const SESSION_SECRET = crypto.randomBytes(16).toString('hex');
+const USER_ID = '100000000000000001';
+const CODE = 'codigo de prueba';
+
+let server;
+let baseUrl;
+
+// Cookie firmada como la de express-session para una sesión ya iniciada
+function createSession(userId) {
+    const sid = crypto.randomBytes(16).toString('hex');
+    const expires = Date.now() + 60 * 60 * 1000;
+    getStore('sessions-auth').set(sid, {
+        session: {
+            cookie: { originalMaxAge: 60 * 60 * 1000, expires: new Date(expires).toISOString(), httpOnly: true, path: '/' },
+            passport: { user: userId }
+        },
+        expires
+    });
+    const signature = crypto.createHmac('sha256', SESSION_SECRET).update(sid).digest('base64').replace(/=+$/, '');
+    return `cofonita.sid=${encodeURIComponent(`s:${sid}.${signature}`)}`;
+}
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+async function waitForServer() {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        try {
+            const response = await fetch(`${baseUrl}/health`);
+            if (response.ok) return;
+        } catch (error) {
+            // Todavía arrancando
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error('El backend no ha arrancado');
+}
+
+// Petición como la haría el navegador desde una web: detrás del proxy HTTPS de Render
+function request(urlPath, { origin, cookie, method = 'GET', body } = {}) {
+    return fetch(`${baseUrl}${urlPath}`, {
+        method,
+        redirect: 'manual',
+        headers: {
+            'X-Forwarded-Proto': 'https',
+            ...(origin && { Origin: origin }),
+            ...(cookie && { Cookie: cookie }),
+            ...(body && { 'Content-Type': 'application/json' })
+        },
+        body: body && JSON.stringify(body)
+    });
+}
+
+let cookie;
+
+test.before(async () => {
+    userProfiles.saveProfile({ id: USER_ID, username: 'agente', guilds: [] });
+    secretCodes.createCode({ code: CODE, maxUses: null, expiresAt: null, unlocks: ['game'] }, 'admin');
+    cookie = createSession(USER_ID);
+    ['sessions-auth', 'user-profiles', 'secret-codes'].forEach(name => getStore(name).flush());
+
+    const port = await getFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            APP_ENV: 'production',
+            PORT: String(port),
+            SESSION_SECRET,
+            CLIENT_ID: '1',
+            DISCORD_CLIENT_SECRET: 'test',
+            DISCORD_TOKEN: 'test',
+            LOG_LEVEL: 'error'
+        },
+        stdio: 'ignore'
+    });
+    await waitForServer();
+});
+
+// Al salir el backend vuelca sus almacenes: se borra el directorio después
+test.after(async () => {
+    if (server && server.exitCode === null) {
+        await new Promise(resolve => {
+            server.once('exit', resolve);
+            server.kill();
+        });
+    }
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('la cookie de sesión puede viajar entre la web y el backend (SameSite=None; Secure)', async () => {
+    const response = await request('/auth/discord');
+    const setCookie = response.headers.get('set-cookie');
+
+    assert.match(setCookie, /^cofonita\.sid=/);
+    assert.match(setCookie, /; Secure/);
+    assert.match(setCookie, /; SameSite=None/);
+});
+
+test('la web canjea códigos con la sesión y otras webs no pueden', async () => {
+    const locked = await request('/secret', { cookie });
+    assert.strictEqual(locked.status, 403);
+
+    // Sin desbloquear el juego tampoco hay partidas ni misiones del ranking
+    assert.strictEqual((await request('/api/game/saves', { cookie })).status, 403);
+    const run = await request('/api/game/runs', { origin: API_URL, cookie, method: 'POST', body: { missionId: 1 } });
+    assert.strictEqual(run.status, 403);
+
+    const forged = await request('/api/secret/redeem', { origin: 'https://evil.example', cookie, method: 'POST', body: { code: CODE } });
+    assert.strictEqual(forged.status, 403);
+
+    const redeemed = await request('/api/secret/redeem', { origin: WEBSITE_URL, cookie, method: 'POST', body: { code: CODE } });
+    assert.strictEqual(redeemed.status, 200);
+    assert.deepStrictEqual((await redeemed.json()).unlocks, ['game']);
+});
+
+test('el juego solo se sirve desde /secret, con la sesión y el desbloqueo', async () => {
+    assert.strictEqual((await request('/game/easteregg.html')).status, 404);
+    assert.strictEqual((await request('/secret')).status, 302);
+
+    const page = await request('/secret', { cookie });
+    assert.strictEqual(page.status, 200);
+    assert.match(await page.text(), /checkGameAccess/);
+});
+
+test('el juego guarda y carga partidas en la nube desde su propio origen', async () => {
+    const saved = await request('/api/game/saves/1', {
+        origin: API_URL,
+        cookie,
+        method: 'PUT',
+        body: { version: '1.0.0', timestamp: Date.now(), gameState: {} }
+    });
+    assert.strictEqual(saved.status, 200);
+
+    const list = await (await request('/api/game/saves', { cookie })).json();
+    assert.deepStrictEqual(list.saves.map(save => save.slot), [1]);
+
+    const anonymous = await request('/api/game/saves');
+    assert.strictEqual(anonymous.status, 302);
+});
+
+test('rechaza partidas con campos que solo existen en el prototipo de Object', async () => {
+    for (const key of ['constructor', 'toString', '__proto__']) {
+        const response = await request('/api/game/saves/2', {
+            origin: API_URL,
+            cookie,
+            method: 'PUT',
+            body: { version: '1.0.0', timestamp: Date.now(), gameState: { settings: JSON.parse(`{"${key}": true}`) } }
+        });
+        assert.strictEqual(response.status, 400, key);
+    }
+
+    assert.strictEqual((await request('/api/game/saves/2', { cookie })).status, 404);
+});
+
+test('las misiones del ranking se abren desde el juego y no se pueden completar sin eventos', async () => {
+    const started = await request('/api/game/runs', { origin: API_URL, cookie, method: 'POST', body: { missionId: 1 } });
+    assert.strictEqual(started.status, 200);
+    const { runId } = await started.json();
+
+    const early = await request(`/api/game/runs/${runId}/events`, { origin: API_URL, cookie, method: 'POST', body: { type: 'hack' } });
+    assert.strictEqual(early.status, 422);
+
+    const completed = await request(`/api/game/runs/${runId}/complete`, { origin: API_URL, cookie, method: 'POST', body: {} });
+    assert.strictEqual(completed.status, 422);
+
+    const leaderboard = await (await request('/api/game/leaderboard')).json();
+    assert.strictEqual(leaderboard.total, 0);
+});
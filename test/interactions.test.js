@@ -0,0 +1,99 @@
+// Interacciones firmadas en local con una clave Ed25519 propia, como las envía Discord.
+// Ejecutar con: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Los almacenes JSON van a un directorio temporal, nunca a .data/
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cofonita-test-'));
+
+const interactions = require('../lib/interactions');
+const commands = require('../lib/commands');
+const { registerBotCommands } = require('../lib/bot-commands');
+
+const { INTERACTION_TYPES, RESPONSE_TYPES } = interactions;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+// Discord da la clave pública en hex: los 32 bytes finales del SPKI
+const PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+
+registerBotCommands();
+interactions.registerGuard(commands.checkCommandAllowed);
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// Cuerpo y cabeceras firmados como los de Discord
+function signPayload(payload, timestamp = String(Math.floor(Date.now() / 1000))) {
+    const body = Buffer.from(JSON.stringify(payload));
+    const signature = crypto.sign(null, Buffer.concat([Buffer.from(timestamp), body]), privateKey).toString('hex');
+    return { body, signature, timestamp };
+}
+
+function verify(signed) {
+    return interactions.verifyInteractionSignature({ ...signed, publicKey: PUBLIC_KEY });
+}
+
+const PING = { id: '1', type: INTERACTION_TYPES.PING, application_id: '2', token: 'token' };
+
+// ID de interacción (snowflake) con la fecha actual
+function snowflake() {
+    return String((BigInt(Date.now()) - 1420070400000n) << 22n);
+}
+
+function command(name, extra = {}) {
+    return {
+        id: snowflake(),
+        type: INTERACTION_TYPES.APPLICATION_COMMAND,
+        application_id: '2',
+        token: 'token',
+        locale: 'en-US',
+        data: { name },
+        ...extra
+    };
+}
+
+test('acepta un PING firmado y responde PONG', async () => {
+    const signed = signPayload(PING);
+    assert.strictEqual(verify(signed), true);
+
+    const response = await interactions.handleInteraction(JSON.parse(signed.body));
+    assert.deepStrictEqual(response, { type: RESPONSE_TYPES.PONG });
+});
+
+test('rechaza cuerpos modificados, firmas de otra clave y marcas de tiempo antiguas', () => {
+    const signed = signPayload(PING);
+    assert.strictEqual(verify({ ...signed, body: Buffer.from(JSON.stringify({ ...PING, id: '9' })) }), false);
+
+    const other = crypto.generateKeyPairSync('ed25519').privateKey;
+    const forged = crypto.sign(null, Buffer.concat([Buffer.from(signed.timestamp), signed.body]), other).toString('hex');
+    assert.strictEqual(verify({ ...signed, signature: forged }), false);
+
+    const old = String(Math.floor(Date.now() / 1000) - 10 * 60);
+    assert.strictEqual(verify(signPayload(PING, old)), false);
+});
+
+test('ejecuta un comando firmado con su manejador y en el idioma del usuario', async () => {
+    const signed = signPayload(command('ping'));
+    assert.strictEqual(verify(signed), true);
+
+    const response = await interactions.handleInteraction(JSON.parse(signed.body));
+    assert.strictEqual(response.type, RESPONSE_TYPES.CHANNEL_MESSAGE_WITH_SOURCE);
+    assert.match(response.data.content, /^🏓 Pong \(\d+ ms\)$/);
+    assert.strictEqual(response.data.flags, interactions.EPHEMERAL);
+});
+
+test('/ayuda lista los comandos registrados', async () => {
+    const response = await interactions.handleInteraction(command('ayuda', { locale: 'es-ES' }));
+    const names = interactions.getCommandDefinitions().map(definition => definition.name);
+
+    assert.match(response.data.content, /Comandos de Cofonita/);
+    names.forEach(name => assert.ok(response.data.content.includes(`/${name}`)));
+});
+
+test('responde traducido a comandos sin manejador', async () => {
+    const response = await interactions.handleInteraction(command('desconocido'));
+    assert.strictEqual(response.data.content, 'This action is not available right now');
+});